@@ -1,7 +1,399 @@
 
 
 
+// region Geometry
+/**
+ * Shortest distance from a point to a line segment.
+ *
+ * @param p The point {x, y}
+ * @param a Start of the segment {x, y}
+ * @param b End of the segment {x, y}
+ * @returns {number} The distance in pixels
+ */
+function distanceToSegment(p, a, b) {
+    let dx = b.x - a.x;
+    let dy = b.y - a.y;
+    let lengthSquared = dx * dx + dy * dy;
+    // Projection of p onto the segment, clamped to its end points
+    let t = lengthSquared === 0 ? 0 : ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Shortest distance from a point to a polyline.
+ *
+ * @param p The point {x, y}
+ * @param xList Horizontal coordinates of the polyline
+ * @param yList Vertical coordinates of the polyline
+ * @returns {number} The distance in pixels
+ */
+function distanceToPolyline(p, xList, yList) {
+    let distance = Infinity;
+    for (let i = 0; i < xList.length; i++) {
+        let a = { x: xList[i], y: yList[i] };
+        let b = i + 1 < xList.length ? { x: xList[i + 1], y: yList[i + 1] } : a;
+        distance = Math.min(distance, distanceToSegment(p, a, b));
+    }
+    return distance;
+}
+
+/**
+ * Check whether a point lies within a polygon, by counting how often a
+ * ray from the point to the right crosses its edges.
+ *
+ * @param p The point {x, y}
+ * @param xList Horizontal coordinates of the corners
+ * @param yList Vertical coordinates of the corners
+ * @returns {boolean}
+ */
+function pointInPolygon(p, xList, yList) {
+    let inside = false;
+    for (let i = 0, j = xList.length - 1; i < xList.length; j = i++) {
+        if ((yList[i] > p.y) !== (yList[j] > p.y) &&
+            p.x < xList[j] + (p.y - yList[j]) * (xList[i] - xList[j]) / (yList[i] - yList[j])) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * The corners of a polygon as svg points, e.g. "0,0 10,0 10,10".
+ *
+ * @param xList Horizontal coordinates of the corners
+ * @param yList Vertical coordinates of the corners
+ * @returns {string}
+ */
+function svgPoints(xList, yList) {
+    return xList.map((x, i) => roundNumber(x) + "," + roundNumber(yList[i])).join(" ");
+}
+
+/**
+ * Size of a css font in pixels, e.g. "36pt sans-serif" is 48.
+ *
+ * @param font A css font shorthand
+ * @returns {number} The font size in pixels
+ */
+function fontPixelSize(font) {
+    let match = /(\d+(?:\.\d+)?)(pt|px)/.exec(font);
+    if (!match) {
+        return 16;
+    }
+    return match[2] === "pt" ? parseFloat(match[1]) * 4 / 3 : parseFloat(match[1]);
+}
+
+/**
+ * Split a text into the characters a reader sees, so that an emoji or a
+ * letter with its accents is one character, even if made of several code points.
+ *
+ * @param text Any text
+ * @returns {string[]}
+ */
+function splitCharacters(text) {
+    if (typeof Intl !== "undefined" && Intl.Segmenter) {
+        return Array.from(new Intl.Segmenter().segment(text), (part) => part.segment);
+    }
+    return Array.from(text);
+}
+
+/**
+ * Build a css font shorthand from its parts.
+ *
+ * @param style The parts of the font {family, size, bold, italic}, e.g. size "36pt"
+ * @returns {string} The font, e.g. "italic bold 36pt serif"
+ */
+function composeFont(style) {
+    return (style.italic ? "italic " : "") + (style.bold ? "bold " : "") + style.size + " " + style.family;
+}
+
+/**
+ * Split a css font shorthand, as built by composeFont(), into its parts.
+ *
+ * @param font A css font shorthand
+ * @returns {{family: string, size: string, bold: boolean, italic: boolean}}
+ */
+function parseFont(font) {
+    let match = /^(italic\s+)?(bold\s+)?(\S+)\s+(.+)$/.exec(font.trim());
+    if (!match) {
+        return { family: "sans-serif", size: "36pt", bold: false, italic: false };
+    }
+    return { family: match[4], size: match[3], bold: !!match[2], italic: !!match[1] };
+}
+
+/**
+ * Round a number for writing it to a file.
+ *
+ * @param n A number
+ * @returns {number} The number with at most two decimals
+ */
+function roundNumber(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/**
+ * Escape text so it can be put into xml content and attributes.
+ *
+ * @param text Any text
+ * @returns {string} The escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Svg path data for a list of points smoothed with quadratic
+ * curves, exactly as LineList draws them on the canvas.
+ *
+ * @param position The first point {x, y}
+ * @param xList Horizontal coordinates of the following points
+ * @param yList Vertical coordinates of the following points
+ * @returns {string} Path data
+ */
+function smoothPathData(position, xList, yList) {
+    let r = roundNumber;
+    let d = "M" + r(position.x) + " " + r(position.y);
+    // Each point is a control point, curves end halfway to the next one
+    for (let i = 0; i + 1 < xList.length; i++) {
+        d += " Q" + r(xList[i]) + " " + r(yList[i]) + " " +
+            r((xList[i] + xList[i + 1]) / 2) + " " + r((yList[i] + yList[i + 1]) / 2);
+    }
+    return d;
+}
+
+// How many numbers every svg path command takes
+const pathCommandLengths = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+/**
+ * Read svg path data into absolute commands, of which there are four:
+ * M and L with one point, Q with a control point and an end point,
+ * C with two control points and an end point, and Z without any.
+ * Relative commands, H, V, the smooth curves S and T and arcs are
+ * brought to these.
+ *
+ * @param d The path data of an svg element
+ * @returns {Array|null} The commands [{type, points}], or null if the data is malformed
+ */
+function parsePathData(d) {
+    let pattern = /[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?|[a-z]/gi;
+    if (d.replace(pattern, "").replace(/[\s,]/g, "") !== "") {
+        return null;
+    }
+    let tokens = d.match(pattern) || [];
+    let commands = [];
+    let current = { x: 0, y: 0 };
+    let start = current;
+    let command = null;
+    let i = 0;
+    while (i < tokens.length) {
+        if (/[a-z]/i.test(tokens[i])) {
+            command = tokens[i++];
+        } else if (command === null || /z/i.test(command)) {
+            return null;
+        }
+        let type = command.toUpperCase();
+        let count = pathCommandLengths[type];
+        let values = tokens.slice(i, i + count).map(Number);
+        if (count === undefined || values.length < count || values.some(isNaN)) {
+            return null;
+        }
+        i += count;
+        let relative = command !== type;
+        let point = function (x, y) {
+            return relative ? { x: current.x + x, y: current.y + y } : { x: x, y: y };
+        };
+        // The smooth curves mirror the last control point, if the curve before is of the same kind
+        let previous = commands[commands.length - 1];
+        let mirrored = function (kind) {
+            if (!previous || previous.type !== kind) {
+                return current;
+            }
+            let control = previous.points[previous.points.length - 2];
+            return { x: 2 * current.x - control.x, y: 2 * current.y - control.y };
+        };
+        let next;
+        switch (type) {
+            case "M":
+                next = { type: "M", points: [point(values[0], values[1])] };
+                start = next.points[0];
+                // Further pairs of numbers are lines
+                command = relative ? "l" : "L";
+                break;
+            case "L":
+                next = { type: "L", points: [point(values[0], values[1])] };
+                break;
+            case "H":
+                next = { type: "L", points: [{ x: relative ? current.x + values[0] : values[0], y: current.y }] };
+                break;
+            case "V":
+                next = { type: "L", points: [{ x: current.x, y: relative ? current.y + values[0] : values[0] }] };
+                break;
+            case "C":
+                next = { type: "C", points: [point(values[0], values[1]), point(values[2], values[3]), point(values[4], values[5])] };
+                break;
+            case "S":
+                next = { type: "C", points: [mirrored("C"), point(values[0], values[1]), point(values[2], values[3])] };
+                break;
+            case "Q":
+                next = { type: "Q", points: [point(values[0], values[1]), point(values[2], values[3])] };
+                break;
+            case "T":
+                next = { type: "Q", points: [mirrored("Q"), point(values[0], values[1])] };
+                break;
+            case "A":
+                arcCurves(current, values[0], values[1], values[2], values[3] !== 0, values[4] !== 0, point(values[5], values[6]))
+                    .forEach((curve) => commands.push({ type: "C", points: curve }));
+                current = commands[commands.length - 1].points[2];
+                continue;
+            default:
+                next = { type: "Z", points: [] };
+        }
+        commands.push(next);
+        current = type === "Z" ? start : next.points[next.points.length - 1];
+    }
+    return commands.length > 0 && commands[0].type === "M" ? commands : null;
+}
+
+/**
+ * Approximate an elliptic arc of an svg path with cubic curves,
+ * one for every quarter turn or less.
+ *
+ * @param from Where the arc starts {x, y}
+ * @param rx The horizontal radius of the ellipse
+ * @param ry The vertical radius of the ellipse
+ * @param rotation How far the ellipse is turned, in degrees
+ * @param large Whether the arc takes the longer way around
+ * @param sweep Whether the arc turns clockwise
+ * @param to Where the arc ends {x, y}
+ * @returns {Array} The curves, each as [control, control, end]
+ */
+function arcCurves(from, rx, ry, rotation, large, sweep, to) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    // Arcs without a radius are straight lines
+    if (rx === 0 || ry === 0 || (from.x === to.x && from.y === to.y)) {
+        return [[from, to, to]];
+    }
+    let cos = Math.cos(rotation * Math.PI / 180);
+    let sin = Math.sin(rotation * Math.PI / 180);
+    let dx = (from.x - to.x) / 2;
+    let dy = (from.y - to.y) / 2;
+    let x1 = cos * dx + sin * dy;
+    let y1 = -sin * dx + cos * dy;
+    // Radii too small to reach the end grow until they do
+    let scale = x1 * x1 / (rx * rx) + y1 * y1 / (ry * ry);
+    if (scale > 1) {
+        rx *= Math.sqrt(scale);
+        ry *= Math.sqrt(scale);
+    }
+    let numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    let factor = (large === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / (rx * rx * y1 * y1 + ry * ry * x1 * x1)));
+    let cx1 = factor * rx * y1 / ry;
+    let cy1 = -factor * ry * x1 / rx;
+    let center = { x: cos * cx1 - sin * cy1 + (from.x + to.x) / 2, y: sin * cx1 + cos * cy1 + (from.y + to.y) / 2 };
+    let startAngle = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+    let turn = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - startAngle;
+    if (sweep && turn < 0) {
+        turn += 2 * Math.PI;
+    } else if (!sweep && turn > 0) {
+        turn -= 2 * Math.PI;
+    }
+    let ellipsePoint = function (angle, distance) {
+        let x = rx * (Math.cos(angle) - distance * Math.sin(angle));
+        let y = ry * (Math.sin(angle) + distance * Math.cos(angle));
+        return { x: center.x + cos * x - sin * y, y: center.y + sin * x + cos * y };
+    };
+    let count = Math.ceil(Math.abs(turn) / (Math.PI / 2) - 1e-9);
+    let step = turn / count;
+    let handle = 4 / 3 * Math.tan(step / 4);
+    let curves = [];
+    for (let i = 0; i < count; i++) {
+        let a = startAngle + i * step;
+        curves.push([ellipsePoint(a, handle), ellipsePoint(a + step, -handle), i === count - 1 ? to : ellipsePoint(a + step, 0)]);
+    }
+    return curves;
+}
+
+// Turns of a stroke sharper than this always keep their point
+const simplifyAngle = Math.PI / 36;
+
+/**
+ * Pick the points of a freehand stroke worth keeping. A point is dropped
+ * when it is too close to the last kept one, or when the stroke hardly
+ * turns there, so straight parts and gentle curves need only a few points.
+ * The first and the last two points are always kept.
+ *
+ * @param xs Horizontal coordinates of all points
+ * @param ys Vertical coordinates of all points
+ * @param pressures The pressure at every point, or an empty list
+ * @param tolerance Points closer than this to the last kept one are dropped
+ * @returns {number[]} Indices of the kept points, in ascending order
+ */
+function simplifyStroke(xs, ys, pressures, tolerance) {
+    let kept = [0];
+    for (let i = 1; i < xs.length - 1; i++) {
+        let last = kept[kept.length - 1];
+        // Changes of the pressure show as changes of the width
+        if (pressures.length > 0 && Math.abs(pressures[i] - pressures[last]) > 0.05) {
+            kept.push(i);
+            continue;
+        }
+        let dx = xs[i] - xs[last];
+        let dy = ys[i] - ys[last];
+        if (Math.hypot(dx, dy) < tolerance) {
+            continue;
+        }
+        let turn = Math.atan2(ys[i + 1] - ys[i], xs[i + 1] - xs[i]) - Math.atan2(dy, dx);
+        if (Math.abs(Math.atan2(Math.sin(turn), Math.cos(turn))) >= simplifyAngle) {
+            kept.push(i);
+        }
+    }
+    // Strokes end halfway between their last two points, so both stay
+    if (xs.length > 2 && kept[kept.length - 1] !== xs.length - 2) {
+        kept.push(xs.length - 2);
+    }
+    if (xs.length > 1) {
+        kept.push(xs.length - 1);
+    }
+    return kept;
+}
+
+// A detached context used to measure text outside of rendering
+const measureContext = document.createElement("canvas").getContext("2d");
+// endregion
+
 // region Shape
+// The kinds of gradients fills can have
+const gradientTypes = ["linear", "radial"];
+// How lines end and how they join
+const lineCaps = ["butt", "round", "square"];
+const lineJoins = ["miter", "round", "bevel"];
+// Lengths of the dashes and gaps of dashed lines, in line widths
+const dashPatterns = {
+    solid: [],
+    dashed: [4, 2],
+    dotted: [1, 1],
+    dashDot: [4, 2, 1, 2],
+};
+
+/**
+ * Write a text as a short hash, e.g. to name svg elements after their contents.
+ *
+ * @param text Any text
+ * @returns {string}
+ */
+function hashText(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 33 + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+}
+
 /**
  * The parent class for anything drawn on the canvas.
  */
@@ -10,23 +402,116 @@ class Shape {
      * Create a new Shape.
      *
      * @param position The x and y position of the shape
-     * @param settings Various settings for drawing the shape {color, filled, width, font}
+     * @param settings Various settings for drawing the shape {color, filled, width, font, opacity}, and
+     *                 optionally {fillColor, stroked, gradient, dash, lineCap, lineJoin}
      */
     constructor(position, settings) {
         this.position = position;
         this.settings = settings;
+        // Rotation (radians) and scale, applied around the center of the shape
+        this.transform = { rotation: 0, scaleX: 1, scaleY: 1 };
     }
 
     /**
-     * Draw the shape.
+     * Draw the shape. The transform of the shape is added to the
+     * one of the context, so callers should save and restore it.
      *
      * @param ctx A 2d context for the canvas to which the Shape should be drawn to
      */
     render(ctx) {
+        let width = this.settings.width;
         ctx.fillStyle = this.settings.color;
         ctx.strokeStyle = this.settings.color;
-        ctx.lineWidth = this.settings.width;
+        ctx.lineWidth = width;
         ctx.font = this.settings.font;
+        ctx.lineCap = this.settings.lineCap || "butt";
+        ctx.lineJoin = this.settings.lineJoin || "miter";
+        ctx.setLineDash((this.settings.dash || []).map((length) => length * width));
+        this.applyTransform(ctx);
+    }
+
+    /**
+     * How the shape is put on what is drawn below it.
+     *
+     * @returns {string} A composite operation of 2d contexts
+     */
+    blending() {
+        return "source-over";
+    }
+
+    /**
+     * Fill the current path of the context with the fill of the shape, or
+     * outline it, or both for filled shapes that are outlined as well.
+     *
+     * @param ctx A 2d context holding the path of the shape
+     */
+    paintPath(ctx) {
+        if (this.settings.filled) {
+            ctx.fillStyle = this.fillPaint(ctx);
+            ctx.fill();
+        }
+        if (!this.settings.filled || this.settings.stroked) {
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * What the area of a filled shape is painted with: its gradient,
+     * or else its fill color, which is the color of its lines if it has none.
+     *
+     * @param ctx A 2d context
+     * @returns {string|CanvasGradient}
+     */
+    fillPaint(ctx) {
+        let gradient = this.settings.gradient;
+        if (!gradient) {
+            return this.settings.fillColor || this.settings.color;
+        }
+        let g = this.gradientGeometry();
+        let paint = gradient.type === "radial" ?
+            ctx.createRadialGradient(g.center.x, g.center.y, 0, g.center.x, g.center.y, g.radius) :
+            ctx.createLinearGradient(g.start.x, g.start.y, g.end.x, g.end.y);
+        gradient.stops.forEach((stop) => paint.addColorStop(stop.offset, stop.color));
+        return paint;
+    }
+
+    /**
+     * Where the gradient of the fill runs across the untransformed bounds:
+     * from start to end at its angle for linear gradients, from the center
+     * to the corners for radial ones.
+     *
+     * @returns {{start: Object, end: Object}|{center: Object, radius: number}}
+     */
+    gradientGeometry() {
+        let b = this.getBounds();
+        let center = { x: b.x + b.width / 2, y: b.y + b.height / 2 };
+        if (this.settings.gradient.type === "radial") {
+            return { center: center, radius: Math.max(Math.hypot(b.width, b.height) / 2, 1) };
+        }
+        let cos = Math.cos(this.settings.gradient.angle);
+        let sin = Math.sin(this.settings.gradient.angle);
+        let half = Math.max(Math.abs(b.width / 2 * cos) + Math.abs(b.height / 2 * sin), 1);
+        return {
+            start: { x: center.x - half * cos, y: center.y - half * sin },
+            end: { x: center.x + half * cos, y: center.y + half * sin },
+        };
+    }
+
+    /**
+     * Add the transform of the shape to the one of the context, e.g.
+     * to draw something in the coordinates of the untransformed shape.
+     *
+     * @param ctx A 2d context
+     */
+    applyTransform(ctx) {
+        let t = this.transform;
+        if (t.rotation !== 0 || t.scaleX !== 1 || t.scaleY !== 1) {
+            let c = this.getCenter();
+            ctx.translate(c.x, c.y);
+            ctx.rotate(t.rotation);
+            ctx.scale(t.scaleX, t.scaleY);
+            ctx.translate(-c.x, -c.y);
+        }
     }
 
     /**
@@ -47,6 +532,231 @@ class Shape {
     resize(x, y) {
 
     }
+
+    /**
+     * The smallest axis aligned box holding the shape.
+     *
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getBounds() {
+        return { x: this.position.x, y: this.position.y, width: 0, height: 0 };
+    }
+
+    /**
+     * The bounds grown by half the line width, i.e. everything the
+     * untransformed shape covers on the canvas.
+     *
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getOutline() {
+        let b = this.getBounds();
+        let margin = this.settings.width / 2;
+        return { x: b.x - margin, y: b.y - margin, width: b.width + 2 * margin, height: b.height + 2 * margin };
+    }
+
+    /**
+     * The point the transform rotates and scales around.
+     *
+     * @returns {{x: number, y: number}}
+     */
+    getCenter() {
+        let b = this.getBounds();
+        return { x: b.x + b.width / 2, y: b.y + b.height / 2 };
+    }
+
+    /**
+     * Map a point of the untransformed shape to the canvas.
+     *
+     * @param point A 2d position
+     * @returns {{x: number, y: number}}
+     */
+    toWorld(point) {
+        let c = this.getCenter();
+        let t = this.transform;
+        let x = (point.x - c.x) * t.scaleX;
+        let y = (point.y - c.y) * t.scaleY;
+        let cos = Math.cos(t.rotation);
+        let sin = Math.sin(t.rotation);
+        return { x: c.x + x * cos - y * sin, y: c.y + x * sin + y * cos };
+    }
+
+    /**
+     * Map a point of the canvas back to the untransformed shape.
+     *
+     * @param point A 2d position
+     * @returns {{x: number, y: number}}
+     */
+    toLocal(point) {
+        let c = this.getCenter();
+        let t = this.transform;
+        let cos = Math.cos(-t.rotation);
+        let sin = Math.sin(-t.rotation);
+        let x = point.x - c.x;
+        let y = point.y - c.y;
+        return {
+            x: c.x + (x * cos - y * sin) / t.scaleX,
+            y: c.y + (x * sin + y * cos) / t.scaleY,
+        };
+    }
+
+    /**
+     * The smallest axis aligned box holding the shape as it is drawn,
+     * line width and transform included.
+     *
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getWorldBounds() {
+        let o = this.getOutline();
+        let corners = [
+            this.toWorld({ x: o.x, y: o.y }),
+            this.toWorld({ x: o.x + o.width, y: o.y }),
+            this.toWorld({ x: o.x + o.width, y: o.y + o.height }),
+            this.toWorld({ x: o.x, y: o.y + o.height }),
+        ];
+        let xs = corners.map((p) => p.x);
+        let ys = corners.map((p) => p.y);
+        let x = Math.min(...xs);
+        let y = Math.min(...ys);
+        return { x: x, y: y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    /**
+     * Points other shapes snap to: the corners and the center of the shape.
+     *
+     * @returns {{x: number, y: number}[]} The points on the canvas
+     */
+    getSnapPoints() {
+        let b = this.getBounds();
+        return [
+            { x: b.x, y: b.y },
+            { x: b.x + b.width, y: b.y },
+            { x: b.x + b.width, y: b.y + b.height },
+            { x: b.x, y: b.y + b.height },
+            { x: b.x + b.width / 2, y: b.y + b.height / 2 },
+        ].map((point) => this.toWorld(point));
+    }
+
+    /**
+     * Check whether a point lies on the untransformed shape.
+     *
+     * @param point A 2d position
+     * @param tolerance Extra distance in pixels that still counts as a hit
+     * @returns {boolean}
+     */
+    hitTest(point, tolerance) {
+        let b = this.getBounds();
+        return point.x >= b.x - tolerance && point.x <= b.x + b.width + tolerance &&
+            point.y >= b.y - tolerance && point.y <= b.y + b.height + tolerance;
+    }
+
+    /**
+     * Check whether a point of the canvas lies on the shape as it is drawn.
+     *
+     * @param point A 2d position
+     * @param tolerance Extra distance in pixels that still counts as a hit
+     * @returns {boolean}
+     */
+    contains(point, tolerance) {
+        let scale = Math.min(Math.abs(this.transform.scaleX), Math.abs(this.transform.scaleY));
+        return this.hitTest(this.toLocal(point), tolerance / scale);
+    }
+
+    /**
+     * The shape as an svg element.
+     *
+     * @returns {string} Svg markup
+     */
+    toSvg() {
+        return "";
+    }
+
+    /**
+     * The gradient of the fill as an svg element, to be referenced by svgAttributes().
+     * It is named after its contents, so equal gradients share their name.
+     *
+     * @returns {string} Svg markup, empty if the shape has no gradient
+     */
+    svgGradient() {
+        let gradient = this.settings.gradient;
+        if (!this.settings.filled || !gradient) {
+            return "";
+        }
+        let r = roundNumber;
+        let g = this.gradientGeometry();
+        let stops = gradient.stops.map(function (stop) {
+            return '<stop offset="' + r(stop.offset) + '" stop-color="' + escapeXml(stop.color) + '"/>';
+        }).join("");
+        let attributes = gradient.type === "radial" ?
+            'cx="' + r(g.center.x) + '" cy="' + r(g.center.y) + '" r="' + r(g.radius) + '"' :
+            'x1="' + r(g.start.x) + '" y1="' + r(g.start.y) + '" x2="' + r(g.end.x) + '" y2="' + r(g.end.y) + '"';
+        let name = gradient.type + "Gradient";
+        let body = ' gradientUnits="userSpaceOnUse" ' + attributes + ">" + stops + "</" + name + ">";
+        return "<" + name + ' id="gradient-' + hashText(body) + '"' + body;
+    }
+
+    /**
+     * Svg attributes shared by all shapes: the type, the paint, the opacity and the transform.
+     *
+     * @param paint "fill" to fill the shape with its color, "stroke" to outline it, "area" to
+     *              fill it with its fill and outline it as well if it is meant to be
+     * @returns {string} Svg attributes
+     */
+    svgAttributes(paint) {
+        let settings = this.settings;
+        let color = escapeXml(settings.color);
+        let attributes = 'data-type="' + this.constructor.name + '"';
+        if (paint === "fill") {
+            attributes += ' fill="' + color + '" stroke="none"';
+        } else {
+            let gradient = this.svgGradient();
+            let fill = gradient ? "url(#" + /id="([^"]+)"/.exec(gradient)[1] + ")" : escapeXml(settings.fillColor || settings.color);
+            attributes += ' fill="' + (paint === "area" ? fill : "none") + '"';
+            if (paint === "area" && !settings.stroked) {
+                attributes += ' stroke="none"';
+            } else {
+                attributes += ' stroke="' + color + '" stroke-width="' + settings.width + '"';
+                if (settings.dash && settings.dash.length > 0) {
+                    attributes += ' stroke-dasharray="' + settings.dash.map((length) => roundNumber(length * settings.width)).join(" ") + '"';
+                }
+                if (settings.lineCap && settings.lineCap !== "butt") {
+                    attributes += ' stroke-linecap="' + settings.lineCap + '"';
+                }
+                if (settings.lineJoin && settings.lineJoin !== "miter") {
+                    attributes += ' stroke-linejoin="' + settings.lineJoin + '"';
+                }
+            }
+        }
+        if (this.settings.opacity < 1) {
+            attributes += ' opacity="' + roundNumber(this.settings.opacity) + '"';
+        }
+        let t = this.transform;
+        if (t.rotation !== 0 || t.scaleX !== 1 || t.scaleY !== 1) {
+            let c = this.getCenter();
+            attributes += ' transform="translate(' + roundNumber(c.x) + " " + roundNumber(c.y) + ")" +
+                " rotate(" + (t.rotation * 180 / Math.PI) + ")" +
+                " scale(" + t.scaleX + " " + t.scaleY + ")" +
+                " translate(" + roundNumber(-c.x) + " " + roundNumber(-c.y) + ')"';
+        }
+        return attributes;
+    }
+
+    /**
+     * A deep copy of the state of the shape.
+     *
+     * @returns {Object}
+     */
+    snapshot() {
+        return JSON.parse(JSON.stringify(this));
+    }
+
+    /**
+     * Bring the shape back to a state taken with snapshot().
+     *
+     * @param state A snapshot of this shape
+     */
+    restore(state) {
+        Object.assign(this, JSON.parse(JSON.stringify(state)));
+    }
 }
 // endregion
 
@@ -59,7 +769,7 @@ class Rectangle extends Shape {
      * Create a new rectangle.
      *
      * @param position The x and y position of the shape
-     * @param settings Various settings for drawing the shape {color, filled, width, font}
+     * @param settings Various settings for drawing the shape {color, filled, width, font, opacity}
      * @param width Horizontal length of rectangle
      * @param height Vertical length of rectangle
      */
@@ -73,11 +783,9 @@ class Rectangle extends Shape {
     render(ctx) {
         ctx.globalCompositeOperation = "source-over";
         super.render(ctx);
-        if (this.settings.filled) {
-            ctx.fillRect(this.position.x, this.position.y, this.width, this.height);
-        } else {
-            ctx.strokeRect(this.position.x, this.position.y, this.width, this.height);
-        }
+        ctx.beginPath();
+        ctx.rect(this.position.x, this.position.y, this.width, this.height);
+        this.paintPath(ctx);
     }
 
     /** @inheritDoc */
@@ -85,6 +793,39 @@ class Rectangle extends Shape {
         this.width = x - this.position.x;
         this.height = y - this.position.y;
     }
+
+    /** @inheritDoc */
+    getBounds() {
+        return {
+            x: Math.min(this.position.x, this.position.x + this.width),
+            y: Math.min(this.position.y, this.position.y + this.height),
+            width: Math.abs(this.width),
+            height: Math.abs(this.height),
+        };
+    }
+
+    /** @inheritDoc */
+    hitTest(point, tolerance) {
+        let reach = tolerance + this.settings.width / 2;
+        if (!super.hitTest(point, reach)) {
+            return false;
+        }
+        if (this.settings.filled) {
+            return true;
+        }
+        // Outlines are only hit close to one of the four edges
+        let b = this.getBounds();
+        return point.x <= b.x + reach || point.x >= b.x + b.width - reach ||
+            point.y <= b.y + reach || point.y >= b.y + b.height - reach;
+    }
+
+    /** @inheritDoc */
+    toSvg() {
+        let b = this.getBounds();
+        let r = roundNumber;
+        return '<rect x="' + r(b.x) + '" y="' + r(b.y) + '" width="' + r(b.width) + '" height="' + r(b.height) + '" ' +
+            this.svgAttributes(this.settings.filled ? "area" : "stroke") + "/>";
+    }
 }
 // endregion
 
@@ -97,7 +838,7 @@ class Oval extends Shape {
      * Create a new Oval.
      *
      * @param position The x and y position of the shape
-     * @param settings Various settings for drawing the shape {color, filled, width, font}
+     * @param settings Various settings for drawing the shape {color, filled, width, font, opacity}
      * @param xRadius The horizontal half width of the oval
      * @param yRadius The vertical half width of the oval
      */
@@ -120,12 +861,7 @@ class Oval extends Shape {
         let c_x = (this.position.x + this.x) / 2;
         let c_y = (this.position.y + this.y) / 2;
         ctx.ellipse(c_x, c_y, this.xRadius, this.yRadius, 0, 0, 2 * Math.PI);
-        if (this.settings.filled) {
-            ctx.fill();
-        } else {
-            ctx.stroke();
-            ctx.closePath();
-        }
+        this.paintPath(ctx);
     }
 
     /** @inheritDoc */
@@ -135,23 +871,81 @@ class Oval extends Shape {
         this.xRadius = Math.abs(x - this.position.x) / 2;
         this.yRadius = Math.abs(y - this.position.y) / 2;
     }
-}
-// endregion
 
-// region Circle
-/**
- * A drawable circle.
- */
-class Circle extends Oval {
-    /**
-     * Create a new Circle.
-     *
-     * @param position The x and y position of the shape
-     * @param settings Various settings for drawing the shape {color, filled, width, font}
-     * @param radius The half width of the circle
-     */
-    constructor(position, settings, radius) {
-        super(position, settings, radius, radius);
+    /** @inheritDoc */
+    move(position) {
+        // The opposite corner travels along with the position
+        this.x += position.x - this.position.x;
+        this.y += position.y - this.position.y;
+        super.move(position);
+    }
+
+    /** @inheritDoc */
+    getBounds() {
+        return {
+            x: (this.position.x + this.x) / 2 - this.xRadius,
+            y: (this.position.y + this.y) / 2 - this.yRadius,
+            width: this.xRadius * 2,
+            height: this.yRadius * 2,
+        };
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * Ovals have no corners, but the ends of their axes instead.
+     */
+    getSnapPoints() {
+        let c = this.getCenter();
+        return [
+            c,
+            { x: c.x - this.xRadius, y: c.y },
+            { x: c.x + this.xRadius, y: c.y },
+            { x: c.x, y: c.y - this.yRadius },
+            { x: c.x, y: c.y + this.yRadius },
+        ].map((point) => this.toWorld(point));
+    }
+
+    /** @inheritDoc */
+    hitTest(point, tolerance) {
+        let reach = tolerance + this.settings.width / 2;
+        let c_x = (this.position.x + this.x) / 2;
+        let c_y = (this.position.y + this.y) / 2;
+        let rx = Math.max(this.xRadius, 1);
+        let ry = Math.max(this.yRadius, 1);
+        // 1 on the outline, below 1 inside the oval
+        let d = Math.hypot((point.x - c_x) / rx, (point.y - c_y) / ry);
+        let slack = reach / Math.min(rx, ry);
+        if (this.settings.filled) {
+            return d <= 1 + slack;
+        }
+        return Math.abs(d - 1) <= slack;
+    }
+
+    /** @inheritDoc */
+    toSvg() {
+        let c = this.getCenter();
+        let r = roundNumber;
+        return '<ellipse cx="' + r(c.x) + '" cy="' + r(c.y) + '" rx="' + r(this.xRadius) + '" ry="' + r(this.yRadius) + '" ' +
+            this.svgAttributes(this.settings.filled ? "area" : "stroke") + "/>";
+    }
+}
+// endregion
+
+// region Circle
+/**
+ * A drawable circle.
+ */
+class Circle extends Oval {
+    /**
+     * Create a new Circle.
+     *
+     * @param position The x and y position of the shape
+     * @param settings Various settings for drawing the shape {color, filled, width, font, opacity}
+     * @param radius The half width of the circle
+     */
+    constructor(position, settings, radius) {
+        super(position, settings, radius, radius);
     }
 
     /** @inheritDoc */
@@ -162,6 +956,14 @@ class Circle extends Oval {
         this.xRadius = radius;
         this.yRadius = radius;
     }
+
+    /** @inheritDoc */
+    toSvg() {
+        let c = this.getCenter();
+        let r = roundNumber;
+        return '<circle cx="' + r(c.x) + '" cy="' + r(c.y) + '" r="' + r(this.xRadius) + '" ' +
+            this.svgAttributes(this.settings.filled ? "area" : "stroke") + "/>";
+    }
 }
 // endregion
 
@@ -174,7 +976,7 @@ class Line extends Shape {
      * Create a new Line.
      *
      * @param startPosition The x and y position of the shape
-     * @param settings Various settings for drawing the shape {color, filled, width, font}
+     * @param settings Various settings for drawing the shape {color, filled, width, font, opacity}
      * @param endPosition The end point of the line segment
      */
     constructor(startPosition, settings, endPosition) {
@@ -198,31 +1000,253 @@ class Line extends Shape {
         this.endPosition.x = x;
         this.endPosition.y = y;
     }
+
+    /** @inheritDoc */
+    move(position) {
+        this.endPosition = {
+            x: this.endPosition.x + position.x - this.position.x,
+            y: this.endPosition.y + position.y - this.position.y,
+        };
+        super.move(position);
+    }
+
+    /** @inheritDoc */
+    getBounds() {
+        return {
+            x: Math.min(this.position.x, this.endPosition.x),
+            y: Math.min(this.position.y, this.endPosition.y),
+            width: Math.abs(this.endPosition.x - this.position.x),
+            height: Math.abs(this.endPosition.y - this.position.y),
+        };
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * Lines snap at their ends and their middle.
+     */
+    getSnapPoints() {
+        return [
+            this.position,
+            this.endPosition,
+            { x: (this.position.x + this.endPosition.x) / 2, y: (this.position.y + this.endPosition.y) / 2 },
+        ].map((point) => this.toWorld(point));
+    }
+
+    /** @inheritDoc */
+    hitTest(point, tolerance) {
+        return distanceToSegment(point, this.position, this.endPosition) <= tolerance + this.settings.width / 2;
+    }
+
+    /** @inheritDoc */
+    toSvg() {
+        let r = roundNumber;
+        return '<line x1="' + r(this.position.x) + '" y1="' + r(this.position.y) +
+            '" x2="' + r(this.endPosition.x) + '" y2="' + r(this.endPosition.y) + '" ' +
+            this.svgAttributes("stroke") + "/>";
+    }
+}
+// endregion
+
+// region Arrow
+// The heads an arrow can have at either end
+const arrowHeads = ["none", "open", "triangle"];
+
+/**
+ * A line with a head at either or both of its ends.
+ */
+class Arrow extends Line {
+    /**
+     * Create a new Arrow.
+     *
+     * @param startPosition The x and y position of the shape
+     * @param settings Various settings for drawing the shape {color, filled, width, font, opacity}
+     * @param endPosition The end point of the line segment
+     * @param startHead The head at the start, one of arrowHeads
+     * @param endHead The head at the end, one of arrowHeads
+     */
+    constructor(startPosition, settings, endPosition, startHead, endHead) {
+        super(startPosition, settings, endPosition);
+        this.startHead = startHead;
+        this.endHead = endHead;
+    }
+
+    /**
+     * How far the heads reach back along the line, growing with the line width.
+     *
+     * @returns {number}
+     */
+    headLength() {
+        return 8 + this.settings.width * 3;
+    }
+
+    /**
+     * The heads to draw, each with its tip and the two corners
+     * left and right of the line.
+     *
+     * @returns {{type: string, tip: {x: number, y: number}, corners: {x: number, y: number}[]}[]}
+     */
+    getHeads() {
+        let heads = [
+            { type: this.startHead, tip: this.position, from: this.endPosition },
+            { type: this.endHead, tip: this.endPosition, from: this.position },
+        ];
+        let length = this.headLength();
+        return heads.filter((head) => head.type !== "none").map(function (head) {
+            let angle = Math.atan2(head.tip.y - head.from.y, head.tip.x - head.from.x);
+            return {
+                type: head.type,
+                tip: head.tip,
+                corners: [-1, 1].map((side) => ({
+                    x: head.tip.x - length * Math.cos(angle + side * Math.PI / 6),
+                    y: head.tip.y - length * Math.sin(angle + side * Math.PI / 6),
+                })),
+            };
+        });
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * Triangles are outlined as well as filled, so they cover the end of a wide line.
+     */
+    render(ctx) {
+        super.render(ctx);
+        // Heads are never dashed
+        ctx.setLineDash([]);
+        this.getHeads().forEach(function (head) {
+            ctx.beginPath();
+            ctx.moveTo(head.corners[0].x, head.corners[0].y);
+            ctx.lineTo(head.tip.x, head.tip.y);
+            ctx.lineTo(head.corners[1].x, head.corners[1].y);
+            if (head.type === "triangle") {
+                ctx.closePath();
+                ctx.fill();
+            }
+            ctx.stroke();
+        });
+    }
+
+    /** @inheritDoc */
+    getOutline() {
+        let b = this.getBounds();
+        let margin = this.settings.width / 2;
+        if (this.startHead !== "none" || this.endHead !== "none") {
+            margin += this.headLength();
+        }
+        return { x: b.x - margin, y: b.y - margin, width: b.width + 2 * margin, height: b.height + 2 * margin };
+    }
+
+    /** @inheritDoc */
+    hitTest(point, tolerance) {
+        let reach = tolerance + this.settings.width / 2;
+        return super.hitTest(point, tolerance) || this.getHeads().some(function (head) {
+            let xs = [head.corners[0].x, head.tip.x, head.corners[1].x];
+            let ys = [head.corners[0].y, head.tip.y, head.corners[1].y];
+            return pointInPolygon(point, xs, ys) || distanceToPolyline(point, xs, ys) <= reach;
+        });
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * The line and its heads are grouped, the group keeps the kind of each head.
+     */
+    toSvg() {
+        let r = roundNumber;
+        let color = escapeXml(this.settings.color);
+        // Heads are never dashed, like on the canvas
+        let solid = this.settings.dash && this.settings.dash.length > 0 ? ' stroke-dasharray="none"' : "";
+        let parts = this.getHeads().map(function (head) {
+            let d = "M" + r(head.corners[0].x) + " " + r(head.corners[0].y) + "L" + r(head.tip.x) + " " + r(head.tip.y) +
+                "L" + r(head.corners[1].x) + " " + r(head.corners[1].y);
+            return head.type === "triangle" ?
+                '<path d="' + d + 'z" fill="' + color + '"' + solid + "/>" :
+                '<path d="' + d + '"' + solid + "/>";
+        });
+        parts.unshift('<line x1="' + r(this.position.x) + '" y1="' + r(this.position.y) +
+            '" x2="' + r(this.endPosition.x) + '" y2="' + r(this.endPosition.y) + '"/>');
+        return "<g " + this.svgAttributes("stroke") + ' data-start-head="' + this.startHead +
+            '" data-end-head="' + this.endHead + '">' + parts.join("") + "</g>";
+    }
 }
 // endregion
 
 // region LineList
 /**
- * A drawable list of smoothed line segments.
+ * A drawable list of smoothed line segments, drawn with one of the brushes.
+ * Strokes of a pen get wider and narrower with the pressure of every point.
  */
 class LineList extends Shape {
     /**
      * Create a new LineList.
      *
      * @param position The x and y position of the shape
-     * @param settings Various settings for drawing the shape {color, filled, width, font}
+     * @param settings Various settings for drawing the shape {color, filled, width, font, opacity}
+     * @param pressure The pressure at the position from 0 to 1, if known
+     * @param brush The brush drawing the stroke {type, options, seed}, the plain pen if not given
      */
-    constructor(position, settings) {
+    constructor(position, settings, pressure, brush) {
         super(position, settings);
         // All coordinates are kept in two separated arrays
         this.xList = [];
         this.yList = [];
+        // The pressure at the position and every point after it,
+        // empty if the stroke was not drawn with a pen
+        this.pressureList = pressure === undefined ? [] : [pressure];
+        // The type is one of the keys of brushes, the seed makes random brushes draw the same every time
+        this.brush = brush || { type: "pen", options: {}, seed: 0 };
+    }
+
+    /**
+     * The width of the stroke at a point. A pressure of 0.5 gives the width
+     * of the settings, the full pressure twice as much.
+     *
+     * @param i The index of the point, 0 being the position
+     * @returns {number}
+     */
+    widthAt(i) {
+        if (this.pressureList.length === 0) {
+            return this.settings.width;
+        }
+        return this.settings.width * Math.max(2 * this.pressureList[i], 0.1);
+    }
+
+    /**
+     * The width of the stroke where it is the widest.
+     *
+     * @returns {number}
+     */
+    maxWidth() {
+        if (this.pressureList.length === 0) {
+            return this.settings.width;
+        }
+        return this.settings.width * Math.max(2 * Math.max(...this.pressureList), 0.1);
     }
 
     /** @inheritDoc */
     render(ctx) {
-        ctx.globalCompositeOperation = "source-over";
+        ctx.globalCompositeOperation = this.blending();
         super.render(ctx);
+        let brush = brushes[this.brush.type] || brushes.pen;
+        // Brushes change the alpha and the compositing, which is theirs only
+        ctx.save();
+        brush.render(ctx, this, brushOptions(this.brush.type, this.brush.options));
+        ctx.restore();
+    }
+
+    /** @inheritDoc */
+    blending() {
+        let brush = brushes[this.brush.type] || brushes.pen;
+        return brush.blending || "source-over";
+    }
+
+    /**
+     * Start a new path on the context along the smoothed stroke.
+     *
+     * @param ctx A 2d context
+     */
+    tracePath(ctx) {
         ctx.beginPath();
         ctx.moveTo(this.position.x, this.position.y);
         // Segments are smoothed using quadratic curves
@@ -234,20 +1258,405 @@ class LineList extends Shape {
             let center = { x: (this.xList[i] + this.xList[i + 1]) / 2, y: (this.yList[i] + this.yList[i + 1]) / 2 };
             ctx.quadraticCurveTo(this.xList[i], this.yList[i], center.x, center.y);
         }
-        ctx.stroke();
-        ctx.closePath();
     }
 
-    /** @inheritDoc */
-    resize(x, y) {
+    /**
+     * The position followed by every point of the stroke.
+     *
+     * @returns {{x: number, y: number}[]}
+     */
+    getPoints() {
+        return [this.position].concat(this.xList.map((x, i) => ({ x: x, y: this.yList[i] })));
+    }
+
+    /**
+     * Points along the stroke at an even distance from each other,
+     * starting at the position.
+     *
+     * @param spacing The distance between two points
+     * @returns {{x: number, y: number}[]}
+     */
+    samplePoints(spacing) {
+        let points = this.getPoints();
+        let samples = [points[0]];
+        // How far along the current segment the next sample is
+        let next = spacing;
+        for (let i = 1; i < points.length; i++) {
+            let from = points[i - 1];
+            let length = Math.hypot(points[i].x - from.x, points[i].y - from.y);
+            while (next <= length) {
+                samples.push({
+                    x: from.x + (points[i].x - from.x) * next / length,
+                    y: from.y + (points[i].y - from.y) * next / length,
+                });
+                next += spacing;
+            }
+            next -= length;
+        }
+        return samples;
+    }
+
+    /**
+     * Draw the same curves as tracePath(), but every curve on its own, with the
+     * width of the point it bends around. Round caps hide the joints.
+     *
+     * @param ctx A 2d context
+     */
+    renderPressure(ctx) {
+        let xs = [this.position.x].concat(this.xList);
+        let ys = [this.position.y].concat(this.yList);
+        ctx.lineCap = "round";
+        ctx.lineJoin = "round";
+        // Every curve would start its own dashes
+        ctx.setLineDash([]);
+        if (xs.length === 1) {
+            ctx.beginPath();
+            ctx.arc(xs[0], ys[0], this.widthAt(0) / 2, 0, 2 * Math.PI);
+            ctx.fill();
+            return;
+        }
+        let start = { x: xs[0], y: ys[0] };
+        for (let i = 1; i < xs.length; i++) {
+            let end = i < xs.length - 1 ? { x: (xs[i] + xs[i + 1]) / 2, y: (ys[i] + ys[i + 1]) / 2 } : { x: xs[i], y: ys[i] };
+            ctx.lineWidth = this.widthAt(i);
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.quadraticCurveTo(xs[i], ys[i], end.x, end.y);
+            ctx.stroke();
+            start = end;
+        }
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * @param pressure The pressure at the new point, if the stroke has any
+     */
+    resize(x, y, pressure) {
         this.xList.push(x);
         this.yList.push(y);
+        if (this.pressureList.length > 0) {
+            let last = this.pressureList[this.pressureList.length - 1];
+            this.pressureList.push(pressure === undefined ? last : pressure);
+        }
+    }
+
+    /** @inheritDoc */
+    move(position) {
+        let dx = position.x - this.position.x;
+        let dy = position.y - this.position.y;
+        this.xList = this.xList.map((x) => x + dx);
+        this.yList = this.yList.map((y) => y + dy);
+        super.move(position);
+    }
+
+    /**
+     * Drop the points which make no visible difference.
+     *
+     * @param tolerance Points closer than this to the previous one are dropped
+     */
+    simplify(tolerance) {
+        let xs = [this.position.x].concat(this.xList);
+        let ys = [this.position.y].concat(this.yList);
+        let kept = simplifyStroke(xs, ys, this.pressureList, tolerance);
+        this.xList = kept.slice(1).map((i) => xs[i]);
+        this.yList = kept.slice(1).map((i) => ys[i]);
+        if (this.pressureList.length > 0) {
+            this.pressureList = kept.map((i) => this.pressureList[i]);
+        }
+    }
+
+    /** @inheritDoc */
+    getOutline() {
+        let b = this.getBounds();
+        let margin = this.maxWidth() / 2;
+        return { x: b.x - margin, y: b.y - margin, width: b.width + 2 * margin, height: b.height + 2 * margin };
+    }
+
+    /** @inheritDoc */
+    getBounds() {
+        let xs = this.xList.concat(this.position.x);
+        let ys = this.yList.concat(this.position.y);
+        let x = Math.min(...xs);
+        let y = Math.min(...ys);
+        return { x: x, y: y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    /** @inheritDoc */
+    hitTest(point, tolerance) {
+        let xs = [this.position.x].concat(this.xList);
+        let ys = [this.position.y].concat(this.yList);
+        return distanceToPolyline(point, xs, ys) <= tolerance + this.maxWidth() / 2;
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * Other programs draw it with an even width and as close to the brush as svg
+     * goes, the pressure and the brush are kept for reading it back.
+     */
+    toSvg() {
+        let pressure = this.pressureList.length > 0 ?
+            ' data-pressure="' + this.pressureList.map(roundNumber).join(" ") + '"' : "";
+        let brush = "";
+        if (this.brush.type !== "pen") {
+            let options = brushOptions(this.brush.type, this.brush.options);
+            brush = ' data-brush="' + escapeXml(this.brush.type) + '" data-brush-options="' +
+                escapeXml(JSON.stringify(options)) + '" data-seed="' + this.brush.seed + '"';
+            if (brushes[this.brush.type] && brushes[this.brush.type].svgAttributes) {
+                brush += brushes[this.brush.type].svgAttributes(options);
+            }
+        }
+        return '<path d="' + smoothPathData(this.position, this.xList, this.yList) + '" ' +
+            this.svgAttributes("stroke") + pressure + brush + "/>";
     }
 }
 // endregion
 
 
 
+// region Brushes
+/**
+ * Pseudo random numbers from a seed, so strokes of random
+ * dots look the same every time they are drawn.
+ *
+ * @param seed An integer
+ * @returns {function(): number} Gives the next number, from 0 up to 1
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Tiles of the textured brush, by color and roughness
+const brushTextures = new Map();
+
+// The width and height of the tiles of the textured brush
+const brushTextureSize = 32;
+
+/**
+ * A tile of the textured brush: the color, with a random
+ * part of its coverage left out of every pixel.
+ *
+ * @param color A css color
+ * @param roughness How much is left out at most, from 0 to 1
+ * @returns {HTMLCanvasElement}
+ */
+function brushTexture(color, roughness) {
+    let key = [color, roughness].join();
+    if (!brushTextures.has(key)) {
+        // Only the tiles of the latest colors are worth keeping
+        if (brushTextures.size >= 50) {
+            brushTextures.delete(brushTextures.keys().next().value);
+        }
+        let ctx = document.createElement("canvas").getContext("2d");
+        ctx.canvas.width = brushTextureSize;
+        ctx.canvas.height = brushTextureSize;
+        let image = ctx.createImageData(brushTextureSize, brushTextureSize);
+        let channels = colorChannels(normalizeColor(color) || "#000000");
+        let random = seededRandom(0);
+        for (let i = 0; i < image.data.length; i += 4) {
+            image.data.set(channels, i);
+            image.data[i + 3] = Math.round(255 * (1 - roughness * random()));
+        }
+        ctx.putImageData(image, 0, 0);
+        brushTextures.set(key, ctx.canvas);
+    }
+    return brushTextures.get(key);
+}
+
+/**
+ * The ways freehand strokes are drawn. Every brush has a name to show, its
+ * options with their limits and default value, and draws a stroke on a
+ * context whose color and line width are already set. Brushes may give
+ * svg attributes coming close to them as well, and the composite operation
+ * with which they blend into what is below.
+ */
+const brushes = {
+    pen: {
+        name: "Pluma",
+        options: {},
+        render: function (ctx, stroke, options) {
+            // Only the pen follows the pressure
+            if (stroke.pressureList.length > 0) {
+                stroke.renderPressure(ctx);
+                return;
+            }
+            stroke.tracePath(ctx);
+            ctx.stroke();
+        },
+    },
+    pencil: {
+        name: "Lápiz",
+        options: {
+            grain: { name: "Grano", min: 0, max: 1, step: 0.05, value: 0.5 },
+        },
+        render: function (ctx, stroke, options) {
+            // A few light passes, each a little off, are darker where they meet like graphite
+            let random = seededRandom(stroke.brush.seed);
+            let jitter = stroke.settings.width * 0.2 * options.grain;
+            ctx.lineCap = "round";
+            ctx.lineJoin = "round";
+            ctx.globalAlpha *= 1 - 0.6 * options.grain;
+            for (let pass = 0; pass < 3; pass++) {
+                ctx.save();
+                ctx.translate((random() - 0.5) * 2 * jitter, (random() - 0.5) * 2 * jitter);
+                stroke.tracePath(ctx);
+                ctx.stroke();
+                ctx.restore();
+            }
+        },
+    },
+    marker: {
+        name: "Marcador",
+        options: {
+            flow: { name: "Flujo", min: 0.1, max: 1, step: 0.05, value: 0.85 },
+        },
+        render: function (ctx, stroke, options) {
+            // A single path, so the ink does not get darker where the stroke crosses itself
+            ctx.lineCap = "round";
+            ctx.lineJoin = "round";
+            ctx.globalAlpha *= options.flow;
+            stroke.tracePath(ctx);
+            ctx.stroke();
+        },
+        svgAttributes: function (options) {
+            return ' stroke-opacity="' + roundNumber(options.flow) + '"';
+        },
+    },
+    highlighter: {
+        name: "Resaltador",
+        options: {
+            flow: { name: "Flujo", min: 0.1, max: 1, step: 0.05, value: 0.5 },
+        },
+        // Multiplying darkens what is below without covering it, within the layer of the stroke
+        blending: "multiply",
+        render: function (ctx, stroke, options) {
+            ctx.lineCap = "butt";
+            ctx.lineJoin = "round";
+            ctx.globalAlpha *= options.flow;
+            stroke.tracePath(ctx);
+            ctx.stroke();
+        },
+        svgAttributes: function (options) {
+            return ' stroke-opacity="' + roundNumber(options.flow) + '" style="mix-blend-mode: multiply"';
+        },
+    },
+    calligraphy: {
+        name: "Caligrafía",
+        options: {
+            angle: { name: "Ángulo de la punta", min: 0, max: 180, step: 15, value: 45 },
+            thinness: { name: "Trazo fino", min: 0.05, max: 1, step: 0.05, value: 0.15 },
+        },
+        render: function (ctx, stroke, options) {
+            // A flat nib sweeps a quadrilateral between every two points
+            let angle = options.angle * Math.PI / 180;
+            let nib = { x: Math.cos(angle) * stroke.settings.width / 2, y: Math.sin(angle) * stroke.settings.width / 2 };
+            let points = stroke.getPoints();
+            ctx.beginPath();
+            for (let i = 0; i < points.length; i++) {
+                let from = points[Math.max(i - 1, 0)];
+                let to = points[i];
+                let corners = [
+                    { x: from.x + nib.x, y: from.y + nib.y },
+                    { x: to.x + nib.x, y: to.y + nib.y },
+                    { x: to.x - nib.x, y: to.y - nib.y },
+                    { x: from.x - nib.x, y: from.y - nib.y },
+                ];
+                // All turn the same way, so none cuts a hole into another
+                let area = (to.x - from.x) * nib.y - (to.y - from.y) * nib.x;
+                if (area < 0) {
+                    corners.reverse();
+                }
+                ctx.moveTo(corners[0].x, corners[0].y);
+                corners.slice(1).forEach((corner) => ctx.lineTo(corner.x, corner.y));
+                ctx.closePath();
+            }
+            ctx.fill();
+            // Strokes along the nib are as wide as its thickness
+            ctx.lineWidth = stroke.settings.width * options.thinness;
+            ctx.lineCap = "round";
+            ctx.lineJoin = "round";
+            ctx.beginPath();
+            points.forEach((point) => ctx.lineTo(point.x, point.y));
+            ctx.stroke();
+        },
+    },
+    spray: {
+        name: "Aerosol",
+        options: {
+            // Dots around every point, one radius apart
+            density: { name: "Densidad", min: 5, max: 100, step: 5, value: 30 },
+            dotSize: { name: "Tamaño de gota", min: 0.5, max: 4, step: 0.5, value: 1 },
+        },
+        render: function (ctx, stroke, options) {
+            let random = seededRandom(stroke.brush.seed);
+            let radius = stroke.settings.width / 2;
+            let size = options.dotSize;
+            ctx.beginPath();
+            stroke.samplePoints(Math.max(radius, 1)).forEach(function (point) {
+                for (let i = 0; i < options.density; i++) {
+                    // Spread evenly over the disc around the point
+                    let distance = radius * Math.sqrt(random());
+                    let angle = 2 * Math.PI * random();
+                    ctx.rect(
+                        point.x + distance * Math.cos(angle) - size / 2,
+                        point.y + distance * Math.sin(angle) - size / 2,
+                        size,
+                        size
+                    );
+                }
+            });
+            ctx.fill();
+        },
+        svgAttributes: function (options) {
+            return ' stroke-opacity="0.3"';
+        },
+    },
+    textured: {
+        name: "Textura",
+        options: {
+            roughness: { name: "Aspereza", min: 0.1, max: 1, step: 0.05, value: 0.6 },
+        },
+        render: function (ctx, stroke, options) {
+            let texture = brushTexture(stroke.settings.color, options.roughness);
+            ctx.strokeStyle = ctx.createPattern(texture, "repeat");
+            ctx.lineCap = "round";
+            ctx.lineJoin = "round";
+            stroke.tracePath(ctx);
+            // Every stroke shifts the tiles its own way, so strokes over each other do not line up
+            let random = seededRandom(stroke.brush.seed);
+            ctx.translate(random() * brushTextureSize, random() * brushTextureSize);
+            ctx.stroke();
+        },
+    },
+};
+
+/**
+ * The options of a brush, the missing and invalid ones set to their default.
+ *
+ * @param type One of the keys of brushes
+ * @param options Options of the brush, by name
+ * @returns {Object} Every option of the brush, by name
+ */
+function brushOptions(type, options) {
+    let brush = brushes[type] || brushes.pen;
+    let complete = {};
+    Object.keys(brush.options).forEach(function (name) {
+        let option = brush.options[name];
+        let value = options ? options[name] : undefined;
+        complete[name] = typeof value === "number" && value >= option.min && value <= option.max ? value : option.value;
+    });
+    return complete;
+}
+// endregion
+
 // region EraseList
 /**
  * A drawable list of smoothed line segments.
@@ -257,7 +1666,7 @@ class EraseList extends Shape {
      * Create a new EraseList.
      *
      * @param position The x and y position of the shape
-     * @param settings Various settings for drawing the shape {color, filled, width, font}
+     * @param settings Various settings for drawing the shape {color, filled, width, font, opacity}
      */
     constructor(position, settings) {
         super(position, settings);
@@ -285,571 +1694,6469 @@ class EraseList extends Shape {
         ctx.closePath();
     }
 
+    /**
+     * @inheritDoc
+     *
+     * Nothing snaps to what was erased.
+     */
+    getSnapPoints() {
+        return [];
+    }
+
     /** @inheritDoc */
     resize(x, y) {
         this.xList.push(x);
         this.yList.push(y);
     }
-}
-// endregion
-
 
-// region DrawnText
-/**
- * A drawable text.
+    /**
+     * Drop the points which make no visible difference.
+     *
+     * @param tolerance Points closer than this to the previous one are dropped
+     */
+    simplify(tolerance) {
+        let xs = [this.position.x].concat(this.xList);
+        let ys = [this.position.y].concat(this.yList);
+        let kept = simplifyStroke(xs, ys, [], tolerance).slice(1);
+        this.xList = kept.map((i) => xs[i]);
+        this.yList = kept.map((i) => ys[i]);
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * Erased areas are not objects of their own and can never be picked.
+     */
+    hitTest(point, tolerance) {
+        return false;
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * The stroke is black, as it is meant to be used inside a mask.
+     */
+    toSvg() {
+        let attributes = this.svgAttributes("stroke").replace(/ stroke="[^"]*"/, ' stroke="black"');
+        return '<path d="' + smoothPathData(this.position, this.xList, this.yList) + '" ' + attributes + "/>";
+    }
+}
+// endregion
+
+
+// region Polyline
+/**
+ * Straight line segments through points placed one by one.
  */
-class DrawnText extends Shape {
+class Polyline extends Shape {
     /**
-     * Create a new DrawnText.
+     * Create a new Polyline.
      *
-     * @param position The x and y position of the shape
-     * @param settings Various settings for drawing the shape {color, filled, width, font}
+     * @param position The x and y position of the first point
+     * @param settings Various settings for drawing the shape {color, filled, width, font, opacity}
      */
     constructor(position, settings) {
         super(position, settings);
-        // Letters are stored as internal char array.
-        this.chars = [];
+        // All coordinates after the position are kept in two separated arrays
+        this.xList = [];
+        this.yList = [];
+    }
+
+    /**
+     * Whether the last point connects back to the first one.
+     *
+     * @returns {boolean}
+     */
+    isClosed() {
+        return false;
+    }
+
+    /**
+     * Whether enough points are placed to draw the shape.
+     *
+     * @returns {boolean}
+     */
+    isComplete() {
+        return this.xList.length >= (this.isClosed() ? 2 : 1);
     }
 
     /** @inheritDoc */
     render(ctx) {
         ctx.globalCompositeOperation = "source-over";
         super.render(ctx);
-        if (this.settings.filled) {
-            ctx.fillText(this.chars.join(''), this.position.x, this.position.y);
-        } else {
-            ctx.fillText(this.chars.join(''), this.position.x, this.position.y);
+        ctx.beginPath();
+        ctx.moveTo(this.position.x, this.position.y);
+        for (let i = 0; i < this.xList.length; i++) {
+            ctx.lineTo(this.xList[i], this.yList[i]);
+        }
+        if (!this.isClosed()) {
+            ctx.stroke();
+            return;
         }
+        ctx.closePath();
+        this.paintPath(ctx);
+    }
+
+    /**
+     * Add a point after the last one.
+     *
+     * @param x Horizontal coordinate
+     * @param y Vertical coordinate
+     */
+    addPoint(x, y) {
+        this.xList.push(x);
+        this.yList.push(y);
     }
 
     /**
      * @inheritDoc
      *
-     * @param key The button which was pressed to add to the text
+     * Only the last point moves, as it follows the pointer until it is placed.
      */
-    resize(key) {
-        // Delete last character if backspace
-        if (key === 'Backspace') {
-            if (this.chars.length > 0) {
-                this.chars.pop();
-            }
+    resize(x, y) {
+        if (this.xList.length === 0) {
+            this.addPoint(x, y);
             return;
         }
+        this.xList[this.xList.length - 1] = x;
+        this.yList[this.yList.length - 1] = y;
+    }
 
-        // Discard all non-single-character-keys
-        if (key.length === 1) {
-            this.chars.push(key);
+    /**
+     * Drop the point that follows the pointer, along with the points placed
+     * twice at the end, e.g. by the double click finishing the shape.
+     */
+    dropLastPoint() {
+        this.xList.pop();
+        this.yList.pop();
+        let xs = [this.position.x].concat(this.xList);
+        let ys = [this.position.y].concat(this.yList);
+        while (xs.length > 1 && xs[xs.length - 1] === xs[xs.length - 2] && ys[ys.length - 1] === ys[ys.length - 2]) {
+            xs.pop();
+            ys.pop();
+            this.xList.pop();
+            this.yList.pop();
         }
     }
+
+    /** @inheritDoc */
+    move(position) {
+        let dx = position.x - this.position.x;
+        let dy = position.y - this.position.y;
+        this.xList = this.xList.map((x) => x + dx);
+        this.yList = this.yList.map((y) => y + dy);
+        super.move(position);
+    }
+
+    /** @inheritDoc */
+    getBounds() {
+        let xs = this.xList.concat(this.position.x);
+        let ys = this.yList.concat(this.position.y);
+        let x = Math.min(...xs);
+        let y = Math.min(...ys);
+        return { x: x, y: y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * Polylines snap at every point.
+     */
+    getSnapPoints() {
+        return [this.position].concat(this.xList.map((x, i) => ({ x: x, y: this.yList[i] })))
+            .map((point) => this.toWorld(point));
+    }
+
+    /** @inheritDoc */
+    hitTest(point, tolerance) {
+        let xs = [this.position.x].concat(this.xList);
+        let ys = [this.position.y].concat(this.yList);
+        return distanceToPolyline(point, xs, ys) <= tolerance + this.settings.width / 2;
+    }
+
+    /** @inheritDoc */
+    toSvg() {
+        let points = svgPoints([this.position.x].concat(this.xList), [this.position.y].concat(this.yList));
+        return '<polyline points="' + points + '" ' + this.svgAttributes("stroke") + "/>";
+    }
 }
 // endregion
 
+// region Polygon
+/**
+ * A closed polyline, which can be filled.
+ */
+class Polygon extends Polyline {
+    /** @inheritDoc */
+    isClosed() {
+        return true;
+    }
 
-// Render HTML
-let htmlContent = `
-<!-- Navigation bar -->
-    <nav id="main-nav" class="navbar-paintme">
-      <div class="container-fluid">
-        <!-- Shapes -->
-        <ul id="shape-list" class="nav-paintme">
-          <li class="nav-item-paintme" data-shape="rectangle">
-            <a>
-              <img src="./assets/icons/box.svg" alt="" />
-            </a>
-          </li>
-          <li class="nav-item-paintme" data-shape="oval">
-            <a>
-              <img src="./assets/icons/ellipse.svg" alt="" />
-            </a>
-          </li>
-          <li class="nav-item-paintme" data-shape="circle">
-            <a>
-              <img src="./assets/icons/circle.svg" alt="" />
-            </a>
-          </li>
-          <li class="nav-item-paintme" data-shape="line">
-            <a>
-              <img src="./assets/icons/ruler.svg" alt="" />
-            </a>
-          </li>
-          <li class="nav-item-paintme" class="active" data-shape="lineList">
-            <a>
-              <span class="glyphicon glyphicon-pencil"></span>
-              <img src="./assets/icons/pen.svg" alt="" />
-            </a>
-          </li>
-          <li class="nav-item-paintme" data-shape="text">
-            <a>
-              <img src="./assets/icons/text--font.svg" alt="" />
-            </a>
-          </li>
-          <!-- <li class="nav-item-paintme" data-shape="move">
-              <a>
-                <img src="./assets/icons/icons8_text.svg" alt="" />
-              </a>
-            </li> -->
-        </ul>
-        <!-- Settings -->
-        <ul id="settings-list" class="nav-paintme">
-          <li class="nav-item-paintme">
-            <a>
-              <input id="color-selector" type="color" />
-            </a>
-          </li>
-          <li class="nav-item-paintme">
-            <a data-toggle="modal" id="btn-size">
-              <img src="./assets/icons/zoom--in-area.svg" alt="" />
-            </a>
-          </li>
-          <li class="nav-item-paintme">
-            <a id="fill-toggle" data-filled="no">
-              <img src="./assets/icons/shape--except.svg" alt="" />
-            </a>
-          </li>
-        </ul>
-        <!-- IO -->
-        <ul id="io-list" class="nav-paintme">
-          <li class="nav-item-paintme">
-            <a id="img-save">
-              <img src="./assets/icons/download.svg" alt="" />
-            </a>
-          </li>
-          <li class="nav-item-paintme">
-            <a id="img-load">
-              <img src="./assets/icons/upload.svg" alt="" />
-            </a>
-          </li>
-        </ul>
-        <!-- Undo + Redo -->
-        <ul id="time-travel" class="nav-paintme">
-          <li class="nav-item-paintme">
-            <a id="img-clear">
-              <img src="./assets/icons/trash-can.svg" alt="" />
-            </a>
-          </li>
-          <li class="nav-item-paintme">
-            <a id="btn-undo">
-              <img src="./assets/icons/undo.svg" alt="" />
-            </a>
-          </li>
-          <li class="nav-item-paintme">
-            <a id="btn-redo">
-              <img src="./assets/icons/redo.svg" alt="" />
-            </a>
-          </li>
-        </ul>
-      </div>
-    </nav>
+    /** @inheritDoc */
+    hitTest(point, tolerance) {
+        let xs = [this.position.x].concat(this.xList);
+        let ys = [this.position.y].concat(this.yList);
+        if (this.settings.filled && pointInPolygon(point, xs, ys)) {
+            return true;
+        }
+        return distanceToPolyline(point, xs.concat(xs[0]), ys.concat(ys[0])) <= tolerance + this.settings.width / 2;
+    }
+
+    /** @inheritDoc */
+    toSvg() {
+        let points = svgPoints([this.position.x].concat(this.xList), [this.position.y].concat(this.yList));
+        return '<polygon points="' + points + '" ' + this.svgAttributes(this.settings.filled ? "area" : "stroke") + "/>";
+    }
+}
+// endregion
+
+// region RegularPolygon
+// How many sides a regular polygon can have
+const minPolygonSides = 3;
+const maxPolygonSides = 12;
+
+/**
+ * A polygon with sides of equal length around its position.
+ */
+class RegularPolygon extends Shape {
+    /**
+     * Create a new RegularPolygon.
+     *
+     * @param position The x and y position of the center
+     * @param settings Various settings for drawing the shape {color, filled, width, font, opacity}
+     * @param sides How many sides it has, from minPolygonSides to maxPolygonSides
+     * @param radius Distance from the center to the corners
+     * @param angle Direction of the first corner from the center, in radians
+     */
+    constructor(position, settings, sides, radius, angle) {
+        super(position, settings);
+        this.sides = sides;
+        this.radius = radius;
+        this.angle = angle;
+    }
+
+    /**
+     * The corners, starting with the one the angle points at.
+     *
+     * @returns {{xList: number[], yList: number[]}}
+     */
+    getCorners() {
+        let xList = [];
+        let yList = [];
+        for (let i = 0; i < this.sides; i++) {
+            let angle = this.angle + 2 * Math.PI * i / this.sides;
+            xList.push(this.position.x + this.radius * Math.cos(angle));
+            yList.push(this.position.y + this.radius * Math.sin(angle));
+        }
+        return { xList: xList, yList: yList };
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * Regular polygons snap at their corners and their center.
+     */
+    getSnapPoints() {
+        let corners = this.getCorners();
+        return [this.position].concat(corners.xList.map((x, i) => ({ x: x, y: corners.yList[i] })))
+            .map((point) => this.toWorld(point));
+    }
+
+    /** @inheritDoc */
+    render(ctx) {
+        ctx.globalCompositeOperation = "source-over";
+        super.render(ctx);
+        let corners = this.getCorners();
+        ctx.beginPath();
+        for (let i = 0; i < this.sides; i++) {
+            ctx.lineTo(corners.xList[i], corners.yList[i]);
+        }
+        ctx.closePath();
+        this.paintPath(ctx);
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * The point becomes a corner, which sets both the size and the rotation.
+     */
+    resize(x, y) {
+        this.radius = Math.hypot(x - this.position.x, y - this.position.y);
+        this.angle = Math.atan2(y - this.position.y, x - this.position.x);
+    }
+
+    /** @inheritDoc */
+    getBounds() {
+        let corners = this.getCorners();
+        let x = Math.min(...corners.xList);
+        let y = Math.min(...corners.yList);
+        return { x: x, y: y, width: Math.max(...corners.xList) - x, height: Math.max(...corners.yList) - y };
+    }
+
+    /** @inheritDoc */
+    hitTest(point, tolerance) {
+        let corners = this.getCorners();
+        if (this.settings.filled && pointInPolygon(point, corners.xList, corners.yList)) {
+            return true;
+        }
+        let xs = corners.xList.concat(corners.xList[0]);
+        let ys = corners.yList.concat(corners.yList[0]);
+        return distanceToPolyline(point, xs, ys) <= tolerance + this.settings.width / 2;
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * The center is the average of the corners, so nothing else needs to be kept to read it back.
+     */
+    toSvg() {
+        let corners = this.getCorners();
+        return '<polygon points="' + svgPoints(corners.xList, corners.yList) + '" ' +
+            this.svgAttributes(this.settings.filled ? "area" : "stroke") + "/>";
+    }
+}
+// endregion
+
+// region BezierPath
+/**
+ * A path of cubic bezier curves through anchor points. Every anchor has a
+ * handle on either side, along which the curves arrive and leave.
+ */
+class BezierPath extends Shape {
+    /**
+     * Create a new BezierPath.
+     *
+     * @param position The x and y position of the first anchor
+     * @param settings Various settings for drawing the shape {color, filled, width, font, opacity}
+     */
+    constructor(position, settings) {
+        super(position, settings);
+        // Anchors are relative to the position, their handles relative to the anchor
+        this.anchors = [{ x: 0, y: 0, inX: 0, inY: 0, outX: 0, outY: 0 }];
+        // Whether the last anchor connects back to the first one
+        this.closed = false;
+    }
+
+    /**
+     * Where an anchor is.
+     *
+     * @param i The index of the anchor
+     * @returns {{x: number, y: number}}
+     */
+    anchorPoint(i) {
+        let a = this.anchors[i];
+        return { x: this.position.x + a.x, y: this.position.y + a.y };
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * Paths snap at their anchors.
+     */
+    getSnapPoints() {
+        return this.anchors.map((anchor, i) => this.toWorld(this.anchorPoint(i)));
+    }
+
+    /**
+     * Where a handle of an anchor is.
+     *
+     * @param i The index of the anchor
+     * @param side "in" for the handle of the curve arriving, "out" for the one leaving
+     * @returns {{x: number, y: number}}
+     */
+    handlePoint(i, side) {
+        let a = this.anchors[i];
+        return { x: this.position.x + a.x + a[side + "X"], y: this.position.y + a.y + a[side + "Y"] };
+    }
+
+    /**
+     * The curves between the anchors, each with its start,
+     * its two control points and its end.
+     *
+     * @returns {{from: Object, c1: Object, c2: Object, to: Object}[]}
+     */
+    getSegments() {
+        let count = this.closed ? this.anchors.length : this.anchors.length - 1;
+        let segments = [];
+        for (let i = 0; i < count; i++) {
+            let j = (i + 1) % this.anchors.length;
+            segments.push({
+                from: this.anchorPoint(i),
+                c1: this.handlePoint(i, "out"),
+                c2: this.handlePoint(j, "in"),
+                to: this.anchorPoint(j),
+            });
+        }
+        return segments;
+    }
+
+    /**
+     * Points along the curves, close enough to each other to stand in for them.
+     *
+     * @returns {{xList: number[], yList: number[]}}
+     */
+    flatten() {
+        let start = this.anchorPoint(0);
+        let xList = [start.x];
+        let yList = [start.y];
+        this.getSegments().forEach(function (s) {
+            for (let step = 1; step <= 16; step++) {
+                let t = step / 16;
+                let u = 1 - t;
+                xList.push(u * u * u * s.from.x + 3 * u * u * t * s.c1.x + 3 * u * t * t * s.c2.x + t * t * t * s.to.x);
+                yList.push(u * u * u * s.from.y + 3 * u * u * t * s.c1.y + 3 * u * t * t * s.c2.y + t * t * t * s.to.y);
+            }
+        });
+        return { xList: xList, yList: yList };
+    }
+
+    /**
+     * Whether the last anchor connects back to the first one.
+     *
+     * @returns {boolean}
+     */
+    isClosed() {
+        return this.closed;
+    }
+
+    /**
+     * Whether enough anchors are placed to draw a curve.
+     *
+     * @returns {boolean}
+     */
+    isComplete() {
+        return this.anchors.length >= 2;
+    }
+
+    /** @inheritDoc */
+    render(ctx) {
+        ctx.globalCompositeOperation = "source-over";
+        super.render(ctx);
+        let start = this.anchorPoint(0);
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        this.getSegments().forEach((s) => ctx.bezierCurveTo(s.c1.x, s.c1.y, s.c2.x, s.c2.y, s.to.x, s.to.y));
+        if (!this.closed) {
+            ctx.stroke();
+            return;
+        }
+        ctx.closePath();
+        this.paintPath(ctx);
+    }
+
+    /**
+     * Add an anchor without handles after the last one.
+     *
+     * @param x Horizontal coordinate
+     * @param y Vertical coordinate
+     */
+    addAnchor(x, y) {
+        this.anchors.push({ x: x - this.position.x, y: y - this.position.y, inX: 0, inY: 0, outX: 0, outY: 0 });
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * Only the last anchor moves, as it follows the pointer until it is placed.
+     */
+    resize(x, y) {
+        this.moveAnchor(this.anchors.length - 1, x, y);
+    }
+
+    /**
+     * Pull the handles out of the anchor placed last, or out of the first one
+     * while closing the path. The leaving handle points at the given point,
+     * the arriving one to the opposite side.
+     *
+     * @param x Horizontal coordinate
+     * @param y Vertical coordinate
+     */
+    pullHandles(x, y) {
+        let a = this.anchors[this.closed ? 0 : this.anchors.length - 1];
+        a.outX = x - this.position.x - a.x;
+        a.outY = y - this.position.y - a.y;
+        a.inX = -a.outX;
+        a.inY = -a.outY;
+    }
+
+    /**
+     * Connect the last placed anchor back to the first one, dropping
+     * the anchor that follows the pointer.
+     */
+    close() {
+        this.anchors.pop();
+        this.closed = true;
+    }
+
+    /**
+     * Drop the anchor that follows the pointer, along with the anchors placed
+     * twice at the end, e.g. by the double click finishing the path. A closed
+     * path has no anchor following the pointer.
+     */
+    dropLastPoint() {
+        if (this.closed) {
+            return;
+        }
+        this.anchors.pop();
+        let last = this.anchors.length - 1;
+        while (last > 0 && this.anchors[last].x === this.anchors[last - 1].x && this.anchors[last].y === this.anchors[last - 1].y) {
+            this.anchors.pop();
+            last--;
+        }
+    }
+
+    /**
+     * Move an anchor, along with its handles.
+     *
+     * @param i The index of the anchor
+     * @param x Horizontal coordinate
+     * @param y Vertical coordinate
+     */
+    moveAnchor(i, x, y) {
+        this.anchors[i].x = x - this.position.x;
+        this.anchors[i].y = y - this.position.y;
+    }
+
+    /**
+     * Move a handle of an anchor. The handle on the other side turns along,
+     * so the path stays smooth through the anchor, but keeps its length.
+     *
+     * @param i The index of the anchor
+     * @param side "in" or "out", see handlePoint()
+     * @param x Horizontal coordinate
+     * @param y Vertical coordinate
+     */
+    moveHandle(i, side, x, y) {
+        let a = this.anchors[i];
+        let other = side === "in" ? "out" : "in";
+        let dx = x - this.position.x - a.x;
+        let dy = y - this.position.y - a.y;
+        a[side + "X"] = dx;
+        a[side + "Y"] = dy;
+        let length = Math.hypot(a[other + "X"], a[other + "Y"]);
+        let distance = Math.hypot(dx, dy);
+        if (distance > 0) {
+            a[other + "X"] = -dx / distance * length;
+            a[other + "Y"] = -dy / distance * length;
+        }
+    }
+
+    /** @inheritDoc */
+    getBounds() {
+        let points = this.flatten();
+        let x = Math.min(...points.xList);
+        let y = Math.min(...points.yList);
+        return { x: x, y: y, width: Math.max(...points.xList) - x, height: Math.max(...points.yList) - y };
+    }
+
+    /** @inheritDoc */
+    hitTest(point, tolerance) {
+        let points = this.flatten();
+        if (this.closed && this.settings.filled && pointInPolygon(point, points.xList, points.yList)) {
+            return true;
+        }
+        return distanceToPolyline(point, points.xList, points.yList) <= tolerance + this.settings.width / 2;
+    }
+
+    /** @inheritDoc */
+    toSvg() {
+        let r = roundNumber;
+        let start = this.anchorPoint(0);
+        let d = "M" + r(start.x) + " " + r(start.y);
+        this.getSegments().forEach(function (s) {
+            d += "C" + [s.c1.x, s.c1.y, s.c2.x, s.c2.y, s.to.x, s.to.y].map(r).join(" ");
+        });
+        if (this.closed) {
+            d += "Z";
+        }
+        return '<path d="' + d + '" ' + this.svgAttributes(this.closed && this.settings.filled ? "area" : "stroke") + "/>";
+    }
+}
+
+/**
+ * Make a bezier path of the commands of an svg path, e.g. one written
+ * by BezierPath.toSvg(). Lines and quadratic curves become cubic curves.
+ *
+ * @param commands Commands read by parsePathData(), of a single outline
+ * @param settings Various settings for drawing the shape {color, filled, width, font, opacity}
+ * @returns {BezierPath} The path
+ */
+function bezierPathFromCommands(commands, settings) {
+    let shape = new BezierPath(commands[0].points[0], settings);
+    let closed = false;
+    commands.slice(1).forEach(function (command) {
+        if (command.type === "Z") {
+            closed = true;
+            return;
+        }
+        let last = shape.anchors.length - 1;
+        let from = shape.anchorPoint(last);
+        let end = command.points[command.points.length - 1];
+        let controls = [command.points[0], command.points[1]];
+        if (command.type === "L") {
+            controls = [from, end];
+        } else if (command.type === "Q") {
+            let c = command.points[0];
+            controls = [
+                { x: from.x + 2 / 3 * (c.x - from.x), y: from.y + 2 / 3 * (c.y - from.y) },
+                { x: end.x + 2 / 3 * (c.x - end.x), y: end.y + 2 / 3 * (c.y - end.y) }
+            ];
+        }
+        shape.anchors[last].outX = controls[0].x - from.x;
+        shape.anchors[last].outY = controls[0].y - from.y;
+        shape.addAnchor(end.x, end.y);
+        shape.anchors[last + 1].inX = controls[1].x - end.x;
+        shape.anchors[last + 1].inY = controls[1].y - end.y;
+    });
+    if (closed && shape.anchors.length > 2) {
+        // A last curve which comes back to the first anchor closes the path itself
+        let first = shape.anchorPoint(0);
+        let end = shape.anchorPoint(shape.anchors.length - 1);
+        if (Math.hypot(end.x - first.x, end.y - first.y) < 0.1) {
+            let anchor = shape.anchors.pop();
+            shape.anchors[0].inX = anchor.inX;
+            shape.anchors[0].inY = anchor.inY;
+        }
+        shape.closed = true;
+    }
+    return shape;
+}
+// endregion
+
+// region DrawnText
+// How a text lines up inside its box
+const textAlignments = ["left", "center", "right"];
+
+// The last layout of every text, kept until anything it depends on changes
+const textLayouts = new WeakMap();
+
+/**
+ * A drawable text. Lines break at new line characters and, if the text
+ * has a box width, wherever a line would grow wider than the box.
+ */
+class DrawnText extends Shape {
+    /**
+     * Create a new DrawnText.
+     *
+     * @param position The x and y position of the shape, on the baseline of the first line
+     * @param settings Various settings for drawing the shape {color, filled, width, font, opacity}
+     * @param align How the lines line up, one of textAlignments
+     * @param boxWidth The width lines wrap at, 0 to only break them at new lines
+     */
+    constructor(position, settings, align, boxWidth) {
+        super(position, settings);
+        // Letters are stored as internal char array.
+        this.chars = [];
+        this.align = align;
+        this.boxWidth = boxWidth;
+    }
+
+    /**
+     * Break the text into lines and place them. The layout is kept
+     * until the characters, the font, the box or the position change.
+     *
+     * @returns {{lines: Array, width: number, lineHeight: number, ascent: number, descent: number}}
+     * The lines hold the characters from start up to end, the position of their baseline and
+     * the offsets where each of their characters starts, the width is the one of the box or else the widest line
+     */
+    layout() {
+        let key = [this.settings.font, this.boxWidth, this.align, this.position.x, this.position.y].join(" ") +
+            "\n" + this.chars.join("");
+        let cached = textLayouts.get(this);
+        if (cached && cached.key === key) {
+            return cached.layout;
+        }
+        measureContext.font = this.settings.font;
+        let chars = this.chars;
+        let measure = (start, end) => measureContext.measureText(chars.slice(start, end).join("")).width;
+        // The start of a line is measured up to each of its characters, as it is drawn, so wrapping,
+        // alignment and the caret all see the same widths, kerning included
+        let offsets = [0];
+        let lines = [];
+        let start = 0;
+        let space = -1;
+        for (let i = 0; i <= chars.length; i++) {
+            if (i === chars.length || chars[i] === "\n") {
+                lines.push({ start: start, end: i, offsets: offsets });
+                start = i + 1;
+                offsets = [0];
+                space = -1;
+                continue;
+            }
+            let width = measure(start, i + 1);
+            if (this.boxWidth > 0 && i > start && width > this.boxWidth) {
+                // Wrap after the last word that fits, the space in between is left out
+                if (space > start) {
+                    lines.push({ start: start, end: space, offsets: offsets.slice(0, space - start + 1) });
+                    start = space + 1;
+                } else {
+                    lines.push({ start: start, end: i, offsets: offsets });
+                    start = i;
+                }
+                offsets = [];
+                for (let j = start; j <= i; j++) {
+                    offsets.push(measure(start, j));
+                }
+                width = measure(start, i + 1);
+                space = -1;
+            }
+            offsets.push(width);
+            if (chars[i] === " ") {
+                space = i;
+            }
+        }
+        let size = fontPixelSize(this.settings.font);
+        let metrics = measureContext.measureText("Hg");
+        let lineHeight = size * 1.2;
+        lines.forEach(function (line) {
+            line.width = line.offsets[line.end - line.start];
+        });
+        let width = this.boxWidth > 0 ? this.boxWidth : Math.max(...lines.map((line) => line.width));
+        let align = this.align;
+        let position = this.position;
+        lines.forEach(function (line, i) {
+            line.x = position.x + { left: 0, center: (width - line.width) / 2, right: width - line.width }[align];
+            line.y = position.y + i * lineHeight;
+        });
+        let layout = {
+            lines: lines,
+            width: width,
+            lineHeight: lineHeight,
+            // Text is drawn on its alphabetic baseline, so it mostly rises above the position
+            ascent: metrics.actualBoundingBoxAscent || size * 0.8,
+            descent: metrics.actualBoundingBoxDescent || size * 0.2,
+        };
+        textLayouts.set(this, { key: key, layout: layout });
+        return layout;
+    }
+
+    /** @inheritDoc */
+    render(ctx) {
+        ctx.globalCompositeOperation = "source-over";
+        super.render(ctx);
+        let chars = this.chars;
+        this.layout().lines.forEach(function (line) {
+            ctx.fillText(chars.slice(line.start, line.end).join(""), line.x, line.y);
+        });
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * Dragging out a new text sets the width of its box. A box
+     * narrower than the size of the font is taken as no box at all.
+     */
+    resize(x, y) {
+        let width = x - this.position.x;
+        this.boxWidth = width > fontPixelSize(this.settings.font) ? width : 0;
+    }
+
+    /**
+     * Add characters.
+     *
+     * @param index Where the characters go, between 0 and the number of characters
+     * @param text The characters
+     * @returns {number} How many characters were added
+     */
+    insert(index, text) {
+        let added = splitCharacters(text);
+        this.chars.splice(index, 0, ...added);
+        return added.length;
+    }
+
+    /**
+     * Remove characters.
+     *
+     * @param start The first character to remove
+     * @param end The character after the last one to remove
+     */
+    remove(start, end) {
+        this.chars.splice(start, end - start);
+    }
+
+    /**
+     * The line a caret between two characters is on. A caret where a line
+     * wraps without a space is on the start of the next line.
+     *
+     * @param index The character after the caret
+     * @param layout The layout of the text
+     * @returns {number} The index of the line
+     */
+    lineOf(index, layout) {
+        let i = layout.lines.length - 1;
+        while (i > 0 && layout.lines[i].start > index) {
+            i--;
+        }
+        return i;
+    }
+
+    /**
+     * Where a character of a line starts.
+     *
+     * @param line A line of the layout
+     * @param index A character of the line, or the end of the line
+     * @returns {number} The horizontal coordinate
+     */
+    lineX(line, index) {
+        return line.x + line.offsets[index - line.start];
+    }
+
+    /**
+     * Where a caret between two characters is drawn.
+     *
+     * @param index The character after the caret
+     * @returns {{x: number, y: number, line: number}} The position on the baseline of the line
+     */
+    caretPoint(index) {
+        let layout = this.layout();
+        let i = this.lineOf(index, layout);
+        return { x: this.lineX(layout.lines[i], index), y: layout.lines[i].y, line: i };
+    }
+
+    /**
+     * The caret position closest to a point.
+     *
+     * @param point A 2d position on the untransformed text
+     * @returns {number} The character after the caret
+     */
+    indexAt(point) {
+        let layout = this.layout();
+        let top = this.position.y - layout.ascent;
+        let i = Math.floor((point.y - top) / layout.lineHeight);
+        let line = layout.lines[Math.max(0, Math.min(i, layout.lines.length - 1))];
+        let best = line.start;
+        let distance = Infinity;
+        for (let j = line.start; j <= line.end; j++) {
+            let x = this.lineX(line, j);
+            if (Math.abs(point.x - x) < distance) {
+                best = j;
+                distance = Math.abs(point.x - x);
+            }
+        }
+        return best;
+    }
+
+    /** @inheritDoc */
+    getBounds() {
+        let layout = this.layout();
+        return {
+            x: this.position.x,
+            y: this.position.y - layout.ascent,
+            width: layout.width,
+            height: layout.ascent + (layout.lines.length - 1) * layout.lineHeight + layout.descent,
+        };
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * Texts are painted with their color alone.
+     */
+    svgGradient() {
+        return "";
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * Every line is a tspan, placed as on the canvas. The characters are kept
+     * as well, as the svg can not tell wrapped lines from new lines.
+     */
+    toSvg() {
+        let chars = this.chars;
+        let tspans = this.layout().lines.map(function (line) {
+            return '<tspan x="' + roundNumber(line.x) + '" y="' + roundNumber(line.y) + '">' +
+                escapeXml(chars.slice(line.start, line.end).join("")) + "</tspan>";
+        });
+        return '<text x="' + roundNumber(this.position.x) + '" y="' + roundNumber(this.position.y) +
+            '" style="font: ' + escapeXml(this.settings.font) + '" xml:space="preserve" ' +
+            'data-text="' + escapeXml(chars.join("")).replace(/\n/g, "&#10;") + '" data-align="' + this.align +
+            '" data-box-width="' + roundNumber(this.boxWidth) + '" ' +
+            this.svgAttributes("fill") + ">" + tspans.join("") + "</text>";
+    }
+}
+// endregion
+
+// region FloodFill
+/**
+ * An area filled with a color or a gradient. It is kept as the runs of
+ * cells it covers on a grid, row by row.
+ */
+class FloodFill extends Shape {
+    /**
+     * Create a new FloodFill.
+     *
+     * @param position The x and y position of the top left cell
+     * @param settings Various settings for drawing the shape {color, filled, width, font, opacity}
+     * @param cellSize The width and height of a cell
+     * @param spans Three integers for every run of cells: its row, first column and length
+     */
+    constructor(position, settings, cellSize, spans) {
+        super(position, settings);
+        this.cellSize = cellSize;
+        this.spans = spans;
+    }
+
+    /** @inheritDoc */
+    render(ctx) {
+        ctx.globalCompositeOperation = "source-over";
+        super.render(ctx);
+        let c = this.cellSize;
+        // All runs are filled as a single path, so no seams show between them
+        ctx.beginPath();
+        for (let i = 0; i < this.spans.length; i += 3) {
+            ctx.rect(
+                this.position.x + this.spans[i + 1] * c,
+                this.position.y + this.spans[i] * c,
+                this.spans[i + 2] * c,
+                c
+            );
+        }
+        ctx.fillStyle = this.fillPaint(ctx);
+        ctx.fill();
+    }
+
+    /** @inheritDoc */
+    getBounds() {
+        let rows = 0;
+        let columns = 0;
+        for (let i = 0; i < this.spans.length; i += 3) {
+            rows = Math.max(rows, this.spans[i] + 1);
+            columns = Math.max(columns, this.spans[i + 1] + this.spans[i + 2]);
+        }
+        return { x: this.position.x, y: this.position.y, width: columns * this.cellSize, height: rows * this.cellSize };
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * A fill has no outline, so the line width adds nothing.
+     */
+    getOutline() {
+        return this.getBounds();
+    }
+
+    /** @inheritDoc */
+    hitTest(point, tolerance) {
+        let c = this.cellSize;
+        let top = Math.floor((point.y - tolerance - this.position.y) / c);
+        let bottom = Math.floor((point.y + tolerance - this.position.y) / c);
+        let left = Math.floor((point.x - tolerance - this.position.x) / c);
+        let right = Math.floor((point.x + tolerance - this.position.x) / c);
+        for (let i = 0; i < this.spans.length; i += 3) {
+            let row = this.spans[i];
+            let first = this.spans[i + 1];
+            let last = first + this.spans[i + 2] - 1;
+            if (row >= top && row <= bottom && first <= right && last >= left) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * The runs are kept as they are next to the path, so they can be read back.
+     */
+    toSvg() {
+        let r = roundNumber;
+        let c = this.cellSize;
+        let d = "";
+        for (let i = 0; i < this.spans.length; i += 3) {
+            let length = this.spans[i + 2] * c;
+            d += "M" + r(this.position.x + this.spans[i + 1] * c) + " " + r(this.position.y + this.spans[i] * c) +
+                "h" + r(length) + "v" + r(c) + "h" + r(-length) + "z";
+        }
+        return '<path d="' + d + '" data-position="' + this.position.x + " " + this.position.y +
+            '" data-cell-size="' + c + '" data-spans="' + this.spans.join(" ") + '" ' +
+            this.svgAttributes("area") + "/>";
+    }
+}
+
+/**
+ * Find the area of an image around a pixel which has about the color of
+ * that pixel. The area is grown by one pixel, so it reaches under the
+ * anti-aliased edges of the shapes around it.
+ *
+ * @param image The pixels to fill, as returned by getImageData()
+ * @param x Column of the pixel to start from
+ * @param y Row of the pixel to start from
+ * @param tolerance How much each channel may differ from the start pixel, from 0 to 255
+ * @returns {number[]} Three integers for every run of filled pixels: its row, first column and length
+ */
+function floodFillSpans(image, x, y, tolerance) {
+    let width = image.width;
+    let height = image.height;
+    let data = image.data;
+    let start = (y * width + x) * 4;
+    let target = [data[start], data[start + 1], data[start + 2], data[start + 3]];
+    let filled = new Uint8Array(width * height);
+    let matches = function (i) {
+        if (filled[i]) {
+            return false;
+        }
+        for (let channel = 0; channel < 4; channel++) {
+            if (Math.abs(data[i * 4 + channel] - target[channel]) > tolerance) {
+                return false;
+            }
+        }
+        return true;
+    };
+    // Fill a whole run of a row at once, then continue with the runs touching it above and below
+    let stack = [[x, y]];
+    while (stack.length > 0) {
+        let [column, row] = stack.pop();
+        let offset = row * width;
+        if (!matches(offset + column)) {
+            continue;
+        }
+        let left = column;
+        let right = column;
+        while (left > 0 && matches(offset + left - 1)) {
+            left--;
+        }
+        while (right < width - 1 && matches(offset + right + 1)) {
+            right++;
+        }
+        filled.fill(1, offset + left, offset + right + 1);
+        [row - 1, row + 1].forEach(function (next) {
+            if (next < 0 || next >= height) {
+                return;
+            }
+            for (let i = left; i <= right; i++) {
+                if (matches(next * width + i) && (i === left || !matches(next * width + i - 1))) {
+                    stack.push([i, next]);
+                }
+            }
+        });
+    }
+    let grown = function (row, column) {
+        let i = row * width + column;
+        return filled[i] === 1 ||
+            (column > 0 && filled[i - 1] === 1) || (column < width - 1 && filled[i + 1] === 1) ||
+            (row > 0 && filled[i - width] === 1) || (row < height - 1 && filled[i + width] === 1);
+    };
+    let spans = [];
+    for (let row = 0; row < height; row++) {
+        let first = -1;
+        for (let column = 0; column <= width; column++) {
+            let inside = column < width && grown(row, column);
+            if (inside && first < 0) {
+                first = column;
+            } else if (!inside && first >= 0) {
+                spans.push(row, first, column - first);
+                first = -1;
+            }
+        }
+    }
+    return spans;
+}
+// endregion
+
+// region Shape recognition
+// How far corners may be off the straight line between their neighbours,
+// relative to the diagonal of the stroke
+const cornerTolerance = 0.06;
+// How far a stroke may be off a shape on average to be taken for it, relative to its diagonal
+const recognitionTolerance = 0.03;
+
+/**
+ * Find the corners of a line through points with the Ramer-Douglas-Peucker
+ * algorithm: the point farthest from the line between the ends is a corner,
+ * and so on for the lines on either side of it.
+ *
+ * @param points The points of the line {x, y}
+ * @param tolerance Points closer than this to the line between their neighbours are no corners
+ * @returns {{x: number, y: number}[]} The corners, including both ends
+ */
+function findCorners(points, tolerance) {
+    let first = points[0];
+    let last = points[points.length - 1];
+    let farthest = -1;
+    let distance = tolerance;
+    for (let i = 1; i < points.length - 1; i++) {
+        let d = distanceToSegment(points[i], first, last);
+        if (d > distance) {
+            farthest = i;
+            distance = d;
+        }
+    }
+    if (farthest < 0) {
+        return points.length > 1 ? [first, last] : [first];
+    }
+    return findCorners(points.slice(0, farthest + 1), tolerance).slice(0, -1)
+        .concat(findCorners(points.slice(farthest), tolerance));
+}
+
+/**
+ * The average distance of points to a closed outline.
+ *
+ * @param points The points {x, y}
+ * @param corners The corners of the outline {x, y}
+ * @returns {number}
+ */
+function meanOutlineDistance(points, corners) {
+    let xs = corners.map((corner) => corner.x).concat(corners[0].x);
+    let ys = corners.map((corner) => corner.y).concat(corners[0].y);
+    return points.reduce((sum, point) => sum + distanceToPolyline(point, xs, ys), 0) / points.length;
+}
+
+/**
+ * Take a freehand stroke for a line, an arrow, a triangle, a rectangle,
+ * an oval or a circle, if it comes close enough to one.
+ *
+ * @param stroke A LineList
+ * @returns {Shape|null} The shape drawn with the settings of the stroke, null if none matches
+ */
+function recognizeStroke(stroke) {
+    let points = stroke.getPoints();
+    let bounds = stroke.getBounds();
+    let size = Math.hypot(bounds.width, bounds.height);
+    // Dots and scribbles of a few pixels stay what they are
+    if (points.length < 3 || size < 10) {
+        return null;
+    }
+    // Strokes are solid round outlines only, whatever the fill and line style of new shapes are
+    let settings = Object.assign(JSON.parse(JSON.stringify(stroke.settings)), {
+        filled: false,
+        dash: [],
+        lineCap: "round",
+        lineJoin: "round",
+    });
+    let first = points[0];
+    let last = points[points.length - 1];
+    if (Math.hypot(last.x - first.x, last.y - first.y) > size / 4) {
+        return recognizeOpenStroke(points, settings, size);
+    }
+    // Closed strokes are split at the point farthest from the start, which is a corner of any shape
+    let far = 0;
+    points.forEach(function (point, i) {
+        if (Math.hypot(point.x - first.x, point.y - first.y) > Math.hypot(points[far].x - first.x, points[far].y - first.y)) {
+            far = i;
+        }
+    });
+    let corners = findCorners(points.slice(0, far + 1), cornerTolerance * size).slice(0, -1)
+        .concat(findCorners(points.slice(far), cornerTolerance * size));
+    // The end meets the start, going a little too far or stopping short
+    corners = corners.filter((corner, i) => i === 0 ||
+        Math.hypot(corner.x - corners[i - 1].x, corner.y - corners[i - 1].y) > size / 10);
+    while (corners.length > 1 && Math.hypot(corners[corners.length - 1].x - first.x, corners[corners.length - 1].y - first.y) <= size / 4) {
+        corners.pop();
+    }
+    let candidates = [];
+    if (corners.length === 3) {
+        let triangle = new Polygon(corners[0], settings);
+        triangle.addPoint(corners[1].x, corners[1].y);
+        triangle.addPoint(corners[2].x, corners[2].y);
+        candidates.push({ shape: triangle, error: meanOutlineDistance(points, corners) });
+    }
+    if (corners.length === 4) {
+        let rectangle = rectangleFromCorners(corners, settings);
+        if (rectangle) {
+            let b = rectangle.getBounds();
+            let outline = [
+                { x: b.x, y: b.y },
+                { x: b.x + b.width, y: b.y },
+                { x: b.x + b.width, y: b.y + b.height },
+                { x: b.x, y: b.y + b.height },
+            ].map((corner) => rectangle.toWorld(corner));
+            candidates.push({ shape: rectangle, error: meanOutlineDistance(points, outline) });
+        }
+    }
+    let center = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+    let rx = Math.max(bounds.width / 2, 1);
+    let ry = Math.max(bounds.height / 2, 1);
+    // How far every point is off the outline, measured along the radius through it
+    let ellipseError = points.reduce((sum, point) => sum + Math.abs(
+        Math.hypot((point.x - center.x) / rx, (point.y - center.y) / ry) - 1
+    ), 0) / points.length * (rx + ry) / 2;
+    let oval;
+    if (Math.abs(rx - ry) <= Math.max(rx, ry) / 10) {
+        let radius = (rx + ry) / 2;
+        oval = new Circle({ x: center.x - radius, y: center.y - radius }, settings, radius);
+        oval.resize(center.x + radius, center.y + radius);
+    } else {
+        oval = new Oval({ x: bounds.x, y: bounds.y }, settings, rx, ry);
+        oval.resize(bounds.x + bounds.width, bounds.y + bounds.height);
+    }
+    candidates.push({ shape: oval, error: ellipseError });
+    let best = candidates.reduce((a, b) => b.error < a.error ? b : a);
+    return best.error <= recognitionTolerance * size ? best.shape : null;
+}
+
+/**
+ * Take a stroke whose ends are apart for a line or an arrow.
+ *
+ * @param points The points of the stroke {x, y}
+ * @param settings The settings of the new shape
+ * @param size The diagonal of the stroke
+ * @returns {Shape|null} The shape, null if neither matches
+ */
+function recognizeOpenStroke(points, settings, size) {
+    let corners = findCorners(points, cornerTolerance * size);
+    if (corners.length === 2) {
+        return new Line(corners[0], settings, corners[1]);
+    }
+    // The shaft comes first, then the pen goes back and forth over the head
+    let start = corners[0];
+    let tip = corners[1];
+    let length = Math.hypot(tip.x - start.x, tip.y - start.y);
+    let direction = { x: (tip.x - start.x) / length, y: (tip.y - start.y) / length };
+    let head = corners.slice(2);
+    if (head.length < 2 || head.some((corner) => Math.hypot(corner.x - tip.x, corner.y - tip.y) > length / 2)) {
+        return null;
+    }
+    // Barbs point back from the tip, to the left or right of the shaft
+    let side = (corner) => Math.hypot(corner.x - tip.x, corner.y - tip.y) < length / 8 ||
+        (corner.x - tip.x) * direction.x + (corner.y - tip.y) * direction.y >= 0 ? 0 :
+        Math.sign((corner.x - tip.x) * direction.y - (corner.y - tip.y) * direction.x);
+    let sides = head.map(side);
+    if (!sides.includes(1) || !sides.includes(-1)) {
+        return null;
+    }
+    // Going straight from one barb to the other closes the head
+    let closed = sides.some((s, i) => i > 0 && s !== 0 && s === -sides[i - 1]);
+    return new Arrow(start, settings, tip, "none", closed ? "triangle" : "open");
+}
+
+/**
+ * A rectangle through four corners, if the stroke turns at
+ * right angles there. Rectangles nearly straight lose their tilt.
+ *
+ * @param corners The corners {x, y}, in the order they were drawn
+ * @param settings The settings of the new shape
+ * @returns {Rectangle|null} The rectangle, null if any angle is off by more than 15 degrees
+ */
+function rectangleFromCorners(corners, settings) {
+    let sides = corners.map((corner, i) => ({
+        x: corners[(i + 1) % 4].x - corner.x,
+        y: corners[(i + 1) % 4].y - corner.y,
+    }));
+    let lengths = sides.map((v) => Math.hypot(v.x, v.y));
+    for (let i = 0; i < 4; i++) {
+        let next = (i + 1) % 4;
+        if (Math.abs(sides[i].x * sides[next].x + sides[i].y * sides[next].y) / (lengths[i] * lengths[next]) > Math.sin(Math.PI / 12)) {
+            return null;
+        }
+    }
+    let width = (lengths[0] + lengths[2]) / 2;
+    let height = (lengths[1] + lengths[3]) / 2;
+    let angle = Math.atan2(sides[0].y, sides[0].x);
+    // The tilt is kept below 45 degrees either way, turning the rectangle on its side instead
+    while (Math.abs(angle) > Math.PI / 4) {
+        angle -= Math.sign(angle) * Math.PI / 2;
+        let swapped = width;
+        width = height;
+        height = swapped;
+    }
+    if (Math.abs(angle) < Math.PI / 18) {
+        angle = 0;
+    }
+    let center = {
+        x: corners.reduce((sum, corner) => sum + corner.x, 0) / 4,
+        y: corners.reduce((sum, corner) => sum + corner.y, 0) / 4,
+    };
+    let rectangle = new Rectangle({ x: center.x - width / 2, y: center.y - height / 2 }, settings, width, height);
+    rectangle.transform.rotation = angle;
+    return rectangle;
+}
+// endregion
+
+// region Layer
+/**
+ * A stack of shapes composited on its own, so erased strokes
+ * only affect the shapes of their layer.
+ */
+class Layer {
+    /**
+     * Create a new Layer.
+     *
+     * @param name The name shown in the layers panel
+     */
+    constructor(name) {
+        this.name = name;
+        this.visible = true;
+        this.locked = false;
+        // From 0 (invisible) to 1 (opaque)
+        this.opacity = 1;
+        // The shapes of the layer, the top most last
+        this.shapes = [];
+    }
+
+    /**
+     * Whether shapes of the layer can be drawn, picked or erased.
+     *
+     * @returns {boolean}
+     */
+    isEditable() {
+        return this.visible && !this.locked;
+    }
+
+    /**
+     * Copy of the properties of the layer, without its shapes.
+     *
+     * @returns {{name: string, visible: boolean, locked: boolean, opacity: number}}
+     */
+    snapshot() {
+        return { name: this.name, visible: this.visible, locked: this.locked, opacity: this.opacity };
+    }
+
+    /**
+     * Bring the properties of the layer back to a snapshot.
+     *
+     * @param state A snapshot taken with snapshot()
+     */
+    restore(state) {
+        Object.assign(this, state);
+    }
+}
+// endregion
+
+
+// region Commands
+// Names of the shape types, as shown in the history
+const shapeNames = {
+    Rectangle: "rectángulo",
+    Oval: "óvalo",
+    Circle: "círculo",
+    Line: "línea",
+    LineList: "trazo",
+    EraseList: "borrado",
+    DrawnText: "texto",
+    FloodFill: "relleno",
+    Polyline: "polilínea",
+    Polygon: "polígono",
+    RegularPolygon: "polígono regular",
+    Arrow: "flecha",
+    BezierPath: "curva",
+};
+
+/**
+ * The parent class for any reversible change to the drawing.
+ */
+class Command {
+    /**
+     * Create a new Command.
+     *
+     * @param label A short description shown in the history
+     */
+    constructor(label) {
+        this.label = label;
+    }
+
+    /**
+     * Apply the change. Running it again after undo() must
+     * bring back the exact same state.
+     */
+    execute() {
+
+    }
+
+    /**
+     * Revert the change.
+     */
+    undo() {
+
+    }
+}
+
+/**
+ * Add a shape on top of all others.
+ */
+class AddShapeCommand extends Command {
+    /**
+     * Create a new AddShapeCommand.
+     *
+     * @param shapes The list of shapes to add to
+     * @param shape The shape to add
+     */
+    constructor(shapes, shape) {
+        super("Añadir " + shapeNames[shape.constructor.name]);
+        this.shapes = shapes;
+        this.shape = shape;
+    }
+
+    /** @inheritDoc */
+    execute() {
+        this.shapes.push(this.shape);
+    }
+
+    /** @inheritDoc */
+    undo() {
+        this.shapes.splice(this.shapes.indexOf(this.shape), 1);
+    }
+}
+
+/**
+ * Remove one or more shapes from the drawing.
+ */
+class DeleteShapesCommand extends Command {
+    /**
+     * Create a new DeleteShapesCommand.
+     *
+     * @param layers The layers holding the shapes
+     * @param removed The shapes to remove, from any of the layers
+     */
+    constructor(layers, removed) {
+        super(removed.length === 1 ?
+            "Eliminar " + shapeNames[removed[0].constructor.name] :
+            "Eliminar " + removed.length + " figuras");
+        // Where to put the shapes back when undone, in ascending order
+        this.removed = removed
+            .map(function (shape) {
+                let shapes = layers.find((layer) => layer.shapes.includes(shape)).shapes;
+                return { shape: shape, shapes: shapes, index: shapes.indexOf(shape) };
+            })
+            .sort((a, b) => a.index - b.index);
+    }
+
+    /** @inheritDoc */
+    execute() {
+        for (let i = this.removed.length - 1; i >= 0; i--) {
+            this.removed[i].shapes.splice(this.removed[i].index, 1);
+        }
+    }
+
+    /** @inheritDoc */
+    undo() {
+        for (let i = 0; i < this.removed.length; i++) {
+            this.removed[i].shapes.splice(this.removed[i].index, 0, this.removed[i].shape);
+        }
+    }
+}
+
+/**
+ * Change a shape from one snapshot to another, e.g. a move,
+ * a new style or an edited text.
+ */
+class ChangeShapeCommand extends Command {
+    /**
+     * Create a new ChangeShapeCommand.
+     *
+     * @param shape The changed shape
+     * @param before A snapshot of the shape before the change
+     * @param after A snapshot of the shape after the change
+     * @param label A short description shown in the history
+     */
+    constructor(shape, before, after, label) {
+        super(label);
+        this.shape = shape;
+        this.before = before;
+        this.after = after;
+    }
+
+    /** @inheritDoc */
+    execute() {
+        this.shape.restore(this.after);
+    }
+
+    /** @inheritDoc */
+    undo() {
+        this.shape.restore(this.before);
+    }
+}
+
+/**
+ * Put one shape in the place of another, e.g. a clean
+ * shape in the place of the stroke it was recognized in.
+ */
+class ReplaceShapeCommand extends Command {
+    /**
+     * Create a new ReplaceShapeCommand.
+     *
+     * @param shapes The list of shapes holding the replaced one
+     * @param replaced The shape to take out
+     * @param replacement The shape to put in its place
+     * @param label A short description shown in the history
+     */
+    constructor(shapes, replaced, replacement, label) {
+        super(label);
+        this.shapes = shapes;
+        this.replaced = replaced;
+        this.replacement = replacement;
+    }
+
+    /** @inheritDoc */
+    execute() {
+        this.shapes.splice(this.shapes.indexOf(this.replaced), 1, this.replacement);
+    }
+
+    /** @inheritDoc */
+    undo() {
+        this.shapes.splice(this.shapes.indexOf(this.replacement), 1, this.replaced);
+    }
+}
+
+/**
+ * Swap all layers for other ones, e.g. when clearing or loading a drawing.
+ */
+class ReplaceLayersCommand extends Command {
+    /**
+     * Create a new ReplaceLayersCommand.
+     *
+     * @param layers The list of layers to replace the contents of
+     * @param newLayers The layers to put in the list instead
+     * @param label A short description shown in the history
+     */
+    constructor(layers, newLayers, label) {
+        super(label);
+        this.layers = layers;
+        this.oldLayers = layers.slice();
+        this.newLayers = newLayers.slice();
+    }
+
+    /** @inheritDoc */
+    execute() {
+        this.layers.splice(0, this.layers.length, ...this.newLayers);
+    }
+
+    /** @inheritDoc */
+    undo() {
+        this.layers.splice(0, this.layers.length, ...this.oldLayers);
+    }
+}
+
+/**
+ * Add a layer to the drawing.
+ */
+class AddLayerCommand extends Command {
+    /**
+     * Create a new AddLayerCommand.
+     *
+     * @param layers The list of layers to add to
+     * @param layer The layer to add
+     * @param index Where to put the layer in the list
+     */
+    constructor(layers, layer, index) {
+        super("Añadir " + layer.name);
+        this.layers = layers;
+        this.layer = layer;
+        this.index = index;
+    }
+
+    /** @inheritDoc */
+    execute() {
+        this.layers.splice(this.index, 0, this.layer);
+    }
+
+    /** @inheritDoc */
+    undo() {
+        this.layers.splice(this.index, 1);
+    }
+}
+
+/**
+ * Remove a layer along with its shapes.
+ */
+class DeleteLayerCommand extends Command {
+    /**
+     * Create a new DeleteLayerCommand.
+     *
+     * @param layers The list of layers to remove from
+     * @param layer The layer to remove
+     */
+    constructor(layers, layer) {
+        super("Eliminar " + layer.name);
+        this.layers = layers;
+        this.layer = layer;
+        this.index = layers.indexOf(layer);
+    }
+
+    /** @inheritDoc */
+    execute() {
+        this.layers.splice(this.index, 1);
+    }
+
+    /** @inheritDoc */
+    undo() {
+        this.layers.splice(this.index, 0, this.layer);
+    }
+}
+
+/**
+ * Put a layer somewhere else in the stack.
+ */
+class MoveLayerCommand extends Command {
+    /**
+     * Create a new MoveLayerCommand.
+     *
+     * @param layers The list of layers
+     * @param layer The layer to move
+     * @param index Where the layer ends up in the list
+     */
+    constructor(layers, layer, index) {
+        super("Mover " + layer.name);
+        this.layers = layers;
+        this.layer = layer;
+        this.from = layers.indexOf(layer);
+        this.to = index;
+    }
+
+    /** @inheritDoc */
+    execute() {
+        this.layers.splice(this.from, 1);
+        this.layers.splice(this.to, 0, this.layer);
+    }
+
+    /** @inheritDoc */
+    undo() {
+        this.layers.splice(this.to, 1);
+        this.layers.splice(this.from, 0, this.layer);
+    }
+}
+
+/**
+ * Change the name, visibility, lock or opacity of a layer.
+ */
+class ChangeLayerCommand extends Command {
+    /**
+     * Create a new ChangeLayerCommand.
+     *
+     * @param layer The changed layer
+     * @param before A snapshot of the layer before the change
+     * @param after A snapshot of the layer after the change
+     * @param label A short description shown in the history
+     */
+    constructor(layer, before, after, label) {
+        super(label);
+        this.layer = layer;
+        this.before = before;
+        this.after = after;
+    }
+
+    /** @inheritDoc */
+    execute() {
+        this.layer.restore(this.after);
+    }
+
+    /** @inheritDoc */
+    undo() {
+        this.layer.restore(this.before);
+    }
+}
+
+/**
+ * A list of executed commands which can be undone and redone.
+ */
+class History {
+    /**
+     * Create a new History.
+     *
+     * @param limit The number of commands to keep before the oldest are forgotten
+     */
+    constructor(limit) {
+        this.limit = limit;
+        // Executed commands, the latest one last
+        this.done = [];
+        // Undone commands, the next one to redo last
+        this.undone = [];
+        // Functions called whenever the history changes
+        this.listeners = [];
+    }
+
+    /**
+     * Execute a command and remember it. Any undone
+     * commands can no longer be redone afterwards.
+     *
+     * @param command The command to execute
+     */
+    execute(command) {
+        command.execute();
+        this.done.push(command);
+        this.undone.splice(0, this.undone.length);
+        this.trim();
+        this.changed();
+    }
+
+    /**
+     * Revert the latest command.
+     *
+     * @returns {boolean} Whether there was anything to undo
+     */
+    undo() {
+        if (this.done.length === 0) {
+            return false;
+        }
+        let command = this.done.pop();
+        command.undo();
+        this.undone.push(command);
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Execute the last undone command again.
+     *
+     * @returns {boolean} Whether there was anything to redo
+     */
+    redo() {
+        if (this.undone.length === 0) {
+            return false;
+        }
+        let command = this.undone.pop();
+        command.execute();
+        this.done.push(command);
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Undo or redo until a given number of commands are done.
+     *
+     * @param step The number of commands which should be done
+     */
+    goTo(step) {
+        while (this.done.length > step) {
+            if (!this.undo()) {
+                break;
+            }
+        }
+        while (this.done.length < step) {
+            if (!this.redo()) {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Forget all commands.
+     */
+    clear() {
+        this.done.splice(0, this.done.length);
+        this.undone.splice(0, this.undone.length);
+        this.changed();
+    }
+
+    /**
+     * Change how many commands are kept.
+     *
+     * @param limit The new limit, at least 1
+     */
+    setLimit(limit) {
+        this.limit = Math.max(1, limit);
+        this.trim();
+        this.changed();
+    }
+
+    /**
+     * Forget the oldest commands beyond the limit.
+     */
+    trim() {
+        if (this.done.length > this.limit) {
+            this.done.splice(0, this.done.length - this.limit);
+        }
+    }
+
+    /**
+     * Register a function to call whenever the history changes.
+     *
+     * @param listener A function without arguments
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify all listeners.
+     */
+    changed() {
+        this.listeners.forEach((listener) => listener());
+    }
+}
+// endregion
+
+
+// region Backgrounds
+// Paper styles a drawing can have. The keys double as class names of the canvas,
+// tiles and the squares of squared papers are given in canvas pixels.
+const backgrounds = {
+    transparent: { color: null, image: null },
+    white: { color: "#ffffff", image: null },
+    grid: { color: "#ffffff", image: "./assets/images/grid-pattern.png", tileWidth: 150, tileHeight: 150, gridSize: 18.75 },
+    ruled: { color: "#ffffff", image: "./assets/images/lined.png", tileWidth: 200, tileHeight: 132 },
+    squared: { color: "#ffffff", image: "./assets/images/cudriculado.jpg", tileWidth: 50, tileHeight: 50, gridSize: 6.25 },
+    lined: { color: "#ffffff", image: "./assets/images/triple-reglon.jpg", tileWidth: 50, tileHeight: 30 },
+};
+
+// Loaded images of the backgrounds, by source
+const backgroundImages = {};
+
+/**
+ * Load an image once. Images that failed are tried again the next time.
+ *
+ * @param src Where the image is found
+ * @returns {Promise<HTMLImageElement>} The loaded image
+ */
+function loadImage(src) {
+    if (!backgroundImages[src]) {
+        backgroundImages[src] = new Promise(function (resolve, reject) {
+            let image = new Image();
+            image.addEventListener("load", () => resolve(image));
+            image.addEventListener("error", function () {
+                delete backgroundImages[src];
+                reject(new Error("No se pudo cargar " + src));
+            });
+            image.src = src;
+        });
+    }
+    return backgroundImages[src];
+}
+
+/**
+ * Paint a paper onto a context. Tiles line up with the origin
+ * of the canvas, just like the css background of the canvas.
+ *
+ * @param ctx A 2d context, transformed to canvas coordinates
+ * @param name One of the keys of backgrounds
+ * @param area The part of the canvas to cover {x, y, width, height}
+ * @returns {Promise} Resolved once painted
+ */
+async function renderBackground(ctx, name, area) {
+    let background = backgrounds[name] || backgrounds.transparent;
+    if (background.color) {
+        ctx.fillStyle = background.color;
+        ctx.fillRect(area.x, area.y, area.width, area.height);
+    }
+    if (!background.image) {
+        return;
+    }
+    let image = await loadImage(background.image);
+    let w = background.tileWidth;
+    let h = background.tileHeight;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(area.x, area.y, area.width, area.height);
+    ctx.clip();
+    for (let y = Math.floor(area.y / h) * h; y < area.y + area.height; y += h) {
+        for (let x = Math.floor(area.x / w) * w; x < area.x + area.width; x += w) {
+            ctx.drawImage(image, x, y, w, h);
+        }
+    }
+    ctx.restore();
+}
+// endregion
+
+// region Viewport
+// How far the view can be zoomed out and in
+const zoomLimits = { min: 0.05, max: 20 };
+
+/**
+ * Which part of the endless drawing is shown on the canvas. A point of
+ * the drawing is shown at point * scale + (x, y) on the canvas.
+ */
+class Viewport {
+    /**
+     * Create a new Viewport showing the origin at its actual size.
+     */
+    constructor() {
+        this.x = 0;
+        this.y = 0;
+        this.scale = 1;
+    }
+
+    /**
+     * Convert a point of the canvas to the drawing.
+     *
+     * @param point A 2d position on the canvas
+     * @returns {{x: number, y: number}}
+     */
+    toWorld(point) {
+        return { x: (point.x - this.x) / this.scale, y: (point.y - this.y) / this.scale };
+    }
+
+    /**
+     * Convert a point of the drawing to the canvas.
+     *
+     * @param point A 2d position in the drawing
+     * @returns {{x: number, y: number}}
+     */
+    toScreen(point) {
+        return { x: point.x * this.scale + this.x, y: point.y * this.scale + this.y };
+    }
+
+    /**
+     * Transform a context, so it draws in drawing coordinates.
+     *
+     * @param ctx A 2d context
+     * @param pixelRatio How many pixels of the context make one pixel of the canvas
+     */
+    apply(ctx, pixelRatio) {
+        let scale = this.scale * pixelRatio;
+        ctx.setTransform(scale, 0, 0, scale, this.x * pixelRatio, this.y * pixelRatio);
+    }
+
+    /**
+     * Zoom in or out, keeping a point of the canvas in place.
+     *
+     * @param point A 2d position on the canvas, e.g. under the mouse
+     * @param factor How much bigger the drawing gets, below 1 zooms out
+     */
+    zoomAt(point, factor) {
+        let world = this.toWorld(point);
+        this.scale = Math.min(Math.max(this.scale * factor, zoomLimits.min), zoomLimits.max);
+        this.x = point.x - world.x * this.scale;
+        this.y = point.y - world.y * this.scale;
+    }
+
+    /**
+     * Move the drawing along the canvas.
+     *
+     * @param dx Canvas pixels to move to the right
+     * @param dy Canvas pixels to move down
+     */
+    panBy(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+    }
+
+    /**
+     * Show an area of the drawing as big as possible, centered on the canvas.
+     *
+     * @param area The part of the drawing to show {x, y, width, height}
+     * @param width The width of the canvas
+     * @param height The height of the canvas
+     */
+    fit(area, width, height) {
+        let scale = Math.min(width / area.width, height / area.height);
+        this.scale = Math.min(Math.max(scale, zoomLimits.min), zoomLimits.max);
+        this.x = (width - area.width * this.scale) / 2 - area.x * this.scale;
+        this.y = (height - area.height * this.scale) / 2 - area.y * this.scale;
+    }
+
+    /**
+     * Show the origin at its actual size again.
+     */
+    reset() {
+        this.x = 0;
+        this.y = 0;
+        this.scale = 1;
+    }
+
+    /**
+     * The part of the drawing shown on a canvas.
+     *
+     * @param width The width of the canvas
+     * @param height The height of the canvas
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    visibleArea(width, height) {
+        let origin = this.toWorld({ x: 0, y: 0 });
+        return { x: origin.x, y: origin.y, width: width / this.scale, height: height / this.scale };
+    }
+}
+// endregion
+
+// region Snapping
+// How close the pointer has to come to a point to snap to it, in pixels on screen
+const snapDistance = 8;
+// Lines snap to multiples of this angle
+const snapAngle = Math.PI / 12;
+
+/**
+ * Turn the end of a line to the nearest multiple of snapAngle,
+ * keeping as much of its length as points that way.
+ *
+ * @param start The start of the line {x, y}
+ * @param point The end of the line {x, y}
+ * @returns {{x: number, y: number}} The turned end
+ */
+function snapLineAngle(start, point) {
+    let dx = point.x - start.x;
+    let dy = point.y - start.y;
+    let angle = Math.round(Math.atan2(dy, dx) / snapAngle) * snapAngle;
+    let length = dx * Math.cos(angle) + dy * Math.sin(angle);
+    return { x: start.x + length * Math.cos(angle), y: start.y + length * Math.sin(angle) };
+}
+
+/**
+ * Snap a point to the nearest of some points within reach. Failing that,
+ * each coordinate lines up with the nearest point within reach that way,
+ * e.g. with the edge or the center of another shape.
+ *
+ * @param point The point to snap {x, y}
+ * @param targets The points to snap to {x, y}
+ * @param tolerance How far the point may be from a target
+ * @returns {{point: {x: number, y: number}, snappedX: boolean, snappedY: boolean, guides: Array}} The snapped
+ * point, which of its coordinates snapped, and the guides showing why as lines {from, to}
+ */
+function snapToPoints(point, targets, tolerance) {
+    let nearest = null;
+    let distance = tolerance;
+    targets.forEach(function (target) {
+        let d = Math.hypot(target.x - point.x, target.y - point.y);
+        if (d <= distance) {
+            nearest = target;
+            distance = d;
+        }
+    });
+    if (nearest) {
+        let snapped = { x: nearest.x, y: nearest.y };
+        return { point: snapped, snappedX: true, snappedY: true, guides: [{ from: snapped, to: snapped }] };
+    }
+    let alignedX = null;
+    let alignedY = null;
+    let distanceX = tolerance;
+    let distanceY = tolerance;
+    targets.forEach(function (target) {
+        if (Math.abs(target.x - point.x) <= distanceX) {
+            alignedX = target;
+            distanceX = Math.abs(target.x - point.x);
+        }
+        if (Math.abs(target.y - point.y) <= distanceY) {
+            alignedY = target;
+            distanceY = Math.abs(target.y - point.y);
+        }
+    });
+    let snapped = { x: alignedX ? alignedX.x : point.x, y: alignedY ? alignedY.y : point.y };
+    let guides = [alignedX, alignedY].filter((target) => target !== null).map((target) => ({ from: target, to: snapped }));
+    return { point: snapped, snappedX: alignedX !== null, snappedY: alignedY !== null, guides: guides };
+}
+// endregion
+
+// region Rendering
+// How long the view stays still before the layers are drawn again at its zoom, in milliseconds
+const viewSettleDelay = 150;
+
+// Where see-through shapes are drawn before they are put on the target canvas
+const shapeContext = document.createElement("canvas").getContext("2d");
+
+/**
+ * Draw shapes in order, each in its own saved context state.
+ *
+ * @param ctx A 2d context
+ * @param shapes The shapes to draw
+ */
+function renderShapes(ctx, shapes) {
+    for (let i = 0; i < shapes.length; i++) {
+        if (shapes[i] && shapes[i].settings.opacity < 1) {
+            renderSeeThrough(ctx, shapes[i]);
+        } else if (shapes[i]) {
+            ctx.save();
+            shapes[i].render(ctx);
+            ctx.restore();
+        }
+    }
+}
+
+/**
+ * Draw a shape that is not opaque. It is drawn opaque on its own canvas
+ * first, so the parts it draws twice, like the overlapping pieces of a
+ * pressure stroke or the head of an arrow, do not show darker.
+ *
+ * @param ctx A 2d context, its transformation applies to the shape
+ * @param shape The shape to draw
+ */
+function renderSeeThrough(ctx, shape) {
+    let canvas = shapeContext.canvas;
+    if (canvas.width !== ctx.canvas.width || canvas.height !== ctx.canvas.height) {
+        canvas.width = ctx.canvas.width;
+        canvas.height = ctx.canvas.height;
+    }
+    shapeContext.setTransform(1, 0, 0, 1, 0, 0);
+    shapeContext.clearRect(0, 0, canvas.width, canvas.height);
+    shapeContext.setTransform(ctx.getTransform());
+    shapeContext.save();
+    shape.render(shapeContext);
+    shapeContext.restore();
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = shape.settings.opacity;
+    // Shapes blending into what is below keep doing so
+    ctx.globalCompositeOperation = shape.blending();
+    ctx.drawImage(canvas, 0, 0);
+    ctx.restore();
+}
+
+// Where every layer is drawn before it is put on the target canvas
+const layerContext = document.createElement("canvas").getContext("2d");
+
+/**
+ * Draw the visible layers from the bottom up. Each layer is drawn on
+ * its own canvas first, so its erased strokes leave the layers below
+ * intact, and is then put on the target with the opacity of the layer.
+ *
+ * @param ctx A 2d context, its transformation applies to the shapes
+ * @param layers The layers to draw
+ */
+function renderLayers(ctx, layers) {
+    let canvas = layerContext.canvas;
+    if (canvas.width !== ctx.canvas.width || canvas.height !== ctx.canvas.height) {
+        canvas.width = ctx.canvas.width;
+        canvas.height = ctx.canvas.height;
+    }
+    layers.forEach(function (layer) {
+        if (!layer.visible) {
+            return;
+        }
+        layerContext.setTransform(1, 0, 0, 1, 0, 0);
+        layerContext.clearRect(0, 0, canvas.width, canvas.height);
+        layerContext.setTransform(ctx.getTransform());
+        renderShapes(layerContext, layer.shapes);
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = layer.opacity;
+        ctx.drawImage(canvas, 0, 0);
+        ctx.restore();
+    });
+}
+// endregion
+
+// region SVG
+/**
+ * Write a drawing as an svg document. Every layer becomes a group, in which
+ * every erased stroke becomes a mask over everything drawn before it, just
+ * like it erases on the canvas.
+ *
+ * @param layers The layers of the drawing
+ * @param background One of the keys of backgrounds
+ * @param area The part of the canvas to write {x, y, width, height}
+ * @returns {string} The svg document
+ */
+function layersToSvg(layers, background, area) {
+    let r = roundNumber;
+    let masks = [];
+    let gradients = [];
+    let groups = layers.map(function (layer) {
+        let content = [];
+        layer.shapes.forEach(function (shape) {
+            let gradient = shape.svgGradient();
+            if (gradient && !gradients.includes(gradient)) {
+                gradients.push(gradient);
+            }
+            if (shape instanceof EraseList) {
+                let id = "erase-" + (masks.length + 1);
+                masks.push(
+                    '<mask id="' + id + '" maskUnits="userSpaceOnUse" x="-100000" y="-100000" width="200000" height="200000">' +
+                    '<rect x="-100000" y="-100000" width="200000" height="200000" fill="white"/>' +
+                    shape.toSvg() + "</mask>"
+                );
+                content = ['<g mask="url(#' + id + ')">\n' + content.join("\n") + "\n</g>"];
+            } else {
+                content.push(shape.toSvg());
+            }
+        });
+        let attributes = ' data-layer="' + escapeXml(layer.name) + '"';
+        if (layer.opacity !== 1) {
+            attributes += ' opacity="' + r(layer.opacity) + '"';
+        }
+        if (!layer.visible) {
+            attributes += ' display="none"';
+        }
+        if (layer.locked) {
+            attributes += ' data-locked="true"';
+        }
+        return "<g" + attributes + ">\n" + content.join("\n") + "\n</g>";
+    });
+    let lines = [
+        '<svg xmlns="http://www.w3.org/2000/svg" width="' + r(area.width) + '" height="' + r(area.height) +
+        '" viewBox="' + [area.x, area.y, area.width, area.height].map(r).join(" ") +
+        '" data-background="' + escapeXml(background) + '">',
+    ];
+    if (masks.length > 0 || gradients.length > 0) {
+        lines.push("<defs>\n" + gradients.concat(masks).join("\n") + "\n</defs>");
+    }
+    // Only the color of the paper is written, its lines are left out
+    let paper = backgrounds[background];
+    if (paper && paper.color) {
+        lines.push('<rect data-role="background" x="' + r(area.x) + '" y="' + r(area.y) +
+            '" width="' + r(area.width) + '" height="' + r(area.height) + '" fill="' + paper.color + '"/>');
+    }
+    return lines.concat(groups, "</svg>").join("\n");
+}
+
+// Svg elements drawing something, those which can not be read are reported
+const svgGraphicElements = ["g", "rect", "circle", "ellipse", "line", "polyline", "polygon", "path", "text", "image", "use"];
+
+// The svg transform which leaves everything where it is
+const identityMatrix = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Combine two svg transforms.
+ *
+ * @param m The outer transform [a, b, c, d, e, f]
+ * @param n The inner transform, which applies first
+ * @returns {number[]} The combined transform
+ */
+function multiplyMatrices(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5],
+    ];
+}
+
+/**
+ * Read the transform attribute of an svg element as a matrix
+ * [a, b, c, d, e, f], which maps (x, y) to (ax + cy + e, bx + dy + f).
+ *
+ * @param text The value of the attribute, empty if there is none
+ * @returns {number[]|null} The transform, null if it is malformed
+ */
+function svgTransformMatrix(text) {
+    let pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    if (text.replace(pattern, "").replace(/[\s,]/g, "") !== "") {
+        return null;
+    }
+    let matrix = identityMatrix;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        let v = match[2].trim() === "" ? [] : match[2].trim().split(/[\s,]+/).map(Number);
+        let counts = { matrix: [6], translate: [1, 2], scale: [1, 2], rotate: [1, 3], skewX: [1], skewY: [1] }[match[1]];
+        if (!counts.includes(v.length) || v.some(isNaN)) {
+            return null;
+        }
+        let angle = v[0] * Math.PI / 180;
+        let next = {
+            matrix: v,
+            translate: [1, 0, 0, 1, v[0], v.length > 1 ? v[1] : 0],
+            scale: [v[0], 0, 0, v.length > 1 ? v[1] : v[0], 0, 0],
+            rotate: [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0],
+            skewX: [1, 0, Math.tan(angle), 1, 0, 0],
+            skewY: [1, Math.tan(angle), 0, 1, 0, 0],
+        }[match[1]];
+        // Rotations may turn around another point than the origin
+        if (match[1] === "rotate" && v.length === 3) {
+            next = multiplyMatrices(multiplyMatrices([1, 0, 0, 1, v[1], v[2]], next), [1, 0, 0, 1, -v[1], -v[2]]);
+        }
+        matrix = multiplyMatrices(matrix, next);
+    }
+    return matrix;
+}
+
+/**
+ * Give a shape read from an svg the transform it has there. Shapes turn
+ * and scale around their center, so they are moved to where the transform
+ * puts the center. Skewed shapes can not be drawn.
+ *
+ * @param shape An untransformed shape
+ * @param matrix The transform of its element and all elements around it
+ * @returns {boolean} Whether the shape has the transform now
+ */
+function applySvgMatrix(shape, matrix) {
+    if (matrix.every((value, i) => value === identityMatrix[i])) {
+        return true;
+    }
+    let [a, b, c, d, e, f] = matrix;
+    let scaleX = Math.hypot(a, b);
+    if (scaleX === 0) {
+        return false;
+    }
+    let cos = a / scaleX;
+    let sin = b / scaleX;
+    let scaleY = d * cos - c * sin;
+    // Without skew the second axis stays perpendicular to the first
+    if (scaleY === 0 || Math.abs(c * cos + d * sin) > 1e-6 * Math.abs(scaleY)) {
+        return false;
+    }
+    let center = shape.getCenter();
+    shape.move({
+        x: shape.position.x + a * center.x + c * center.y + e - center.x,
+        y: shape.position.y + b * center.x + d * center.y + f - center.y,
+    });
+    shape.transform = { rotation: Math.atan2(sin, cos), scaleX: scaleX, scaleY: scaleY };
+    return true;
+}
+
+/**
+ * Read a drawing from an svg document written by layersToSvg().
+ * Documents of other programs are read as far as the shapes allow,
+ * with all their shapes in a single layer.
+ *
+ * @param text The svg document
+ * @returns {{layers: Layer[], background: string, skipped: number}} Skipped
+ * are the drawing elements which could not be read
+ */
+function layersFromSvg(text) {
+    let doc = new DOMParser().parseFromString(text, "image/svg+xml");
+    let root = doc.documentElement;
+    if (root.localName !== "svg" || doc.getElementsByTagName("parsererror").length > 0) {
+        throw new Error("El archivo no es un svg válido");
+    }
+    let skipped = [];
+    let groups = Array.from(root.children).filter((element) => element.hasAttribute("data-layer"));
+    let layers = groups.map(function (group) {
+        let layer = new Layer(group.getAttribute("data-layer"));
+        let opacity = parseFloat(group.getAttribute("opacity"));
+        layer.opacity = isNaN(opacity) ? 1 : Math.min(Math.max(opacity, 0), 1);
+        layer.visible = group.getAttribute("display") !== "none";
+        layer.locked = group.getAttribute("data-locked") === "true";
+        readSvgGroup(group, doc, identityMatrix, layer.shapes, skipped);
+        return layer;
+    });
+    if (layers.length === 0) {
+        layers.push(new Layer("Capa 1"));
+        readSvgChildren(root, doc, identityMatrix, layers[0].shapes, skipped);
+    }
+    return { layers: layers, background: root.getAttribute("data-background") || "transparent", skipped: skipped.length };
+}
+
+/**
+ * Read the shapes of a group along with its transform. The erased
+ * strokes of a masked group come right after its contents.
+ *
+ * @param group A g element
+ * @param doc The svg document, to look up masks
+ * @param matrix The transform of the elements around the group
+ * @param shapes The list to add the shapes to
+ * @param skipped The list to add the elements to which can not be read
+ */
+function readSvgGroup(group, doc, matrix, shapes, skipped) {
+    let own = svgTransformMatrix(group.getAttribute("transform") || "");
+    if (!own) {
+        skipped.push(group);
+        return;
+    }
+    matrix = multiplyMatrices(matrix, own);
+    readSvgChildren(group, doc, matrix, shapes, skipped);
+    let maskId = /url\(#(.+)\)/.exec(group.getAttribute("mask") || "");
+    let mask = maskId && doc.getElementById(maskId[1]);
+    if (mask) {
+        // Masks are in the coordinates of the group they mask
+        Array.from(mask.getElementsByTagName("path")).forEach(function (path) {
+            let erase = shapeFromSvgElement(path, true, matrix);
+            if (erase) {
+                shapes.push(erase);
+            } else {
+                skipped.push(path);
+            }
+        });
+    }
+}
+
+/**
+ * Read the shapes within an svg element in document order.
+ *
+ * @param parent An svg element
+ * @param doc The svg document, to look up masks
+ * @param matrix The transform of the parent and the elements around it
+ * @param shapes The list to add the shapes to
+ * @param skipped The list to add the elements to which can not be read
+ */
+function readSvgChildren(parent, doc, matrix, shapes, skipped) {
+    Array.from(parent.children).forEach(function (element) {
+        // Groups of a single shape, like arrows, are read as a whole
+        if (element.localName === "g" && !element.hasAttribute("data-type")) {
+            readSvgGroup(element, doc, matrix, shapes, skipped);
+            return;
+        }
+        let shape = shapeFromSvgElement(element, false, matrix);
+        if (shape) {
+            shapes.push(shape);
+        } else if (svgGraphicElements.includes(element.localName) && element.getAttribute("data-role") !== "background") {
+            skipped.push(element);
+        }
+    });
+}
+
+/**
+ * Read a gradient written by Shape.svgGradient(). Only the direction of
+ * linear gradients is kept, as they always span the bounds of their shape.
+ *
+ * @param element A linearGradient or radialGradient element
+ * @returns {{type: string, angle: number, stops: Object[]}|null} The gradient, null if it has too few stops
+ */
+function gradientFromSvg(element) {
+    if (!element || (element.localName !== "linearGradient" && element.localName !== "radialGradient")) {
+        return null;
+    }
+    let number = function (name) {
+        let value = parseFloat(element.getAttribute(name));
+        return isNaN(value) ? 0 : value;
+    };
+    let stops = Array.from(element.getElementsByTagName("stop")).map(function (stop) {
+        let offset = stop.getAttribute("offset") || "0";
+        let value = parseFloat(offset) / (offset.trim().endsWith("%") ? 100 : 1);
+        let style = /stop-color:\s*([^;]+)/.exec(stop.getAttribute("style") || "");
+        return {
+            offset: isNaN(value) ? 0 : Math.min(Math.max(value, 0), 1),
+            color: normalizeColor(style ? style[1] : stop.getAttribute("stop-color") || "#000000"),
+        };
+    }).filter((stop) => stop.color !== null);
+    if (stops.length < 2) {
+        return null;
+    }
+    if (element.localName === "radialGradient") {
+        return { type: "radial", angle: 0, stops: stops };
+    }
+    let angle = Math.atan2(number("y2") - number("y1"), number("x2") - number("x1"));
+    return { type: "linear", angle: angle, stops: stops };
+}
+
+/**
+ * Convert a single svg element to its corresponding shape.
+ *
+ * @param element An svg element
+ * @param erase Whether paths are erased strokes, i.e. they are part of a mask
+ * @param matrix The transform of the elements around it, see svgTransformMatrix()
+ * @returns {Shape|null} The shape, if the element maps to one
+ */
+function shapeFromSvgElement(element, erase, matrix) {
+    let number = function (name) {
+        let value = parseFloat(element.getAttribute(name));
+        return isNaN(value) ? 0 : value;
+    };
+    // Svg fills shapes black unless told otherwise
+    let fill = element.getAttribute("fill");
+    let filled = fill !== "none";
+    let reference = /^url\(#(.+)\)$/.exec(fill || "");
+    let gradient = reference ? gradientFromSvg(element.ownerDocument.getElementById(reference[1])) : null;
+    if (reference) {
+        fill = gradient ? gradient.stops[0].color : null;
+    }
+    let stroke = element.getAttribute("stroke");
+    let stroked = filled && stroke !== null && stroke !== "none";
+    let style = /font:\s*([^;]+)/.exec(element.getAttribute("style") || "");
+    let opacity = parseFloat(element.getAttribute("opacity"));
+    let width = number("stroke-width") || 1;
+    let dash = (element.getAttribute("stroke-dasharray") || "").split(/[\s,]+/).map(parseFloat);
+    let settings = {
+        color: (filled && !stroked ? fill : stroke) || "#000000",
+        filled: filled,
+        width: width,
+        font: style ? style[1].trim() : "36pt sans-serif",
+        opacity: isNaN(opacity) ? 1 : Math.min(Math.max(opacity, 0), 1),
+        fillColor: (filled ? fill : stroke) || "#000000",
+        stroked: stroked,
+        gradient: gradient,
+        dash: dash.every((length) => length >= 0) ? dash.map((length) => length / width) : [],
+        lineCap: lineCaps.includes(element.getAttribute("stroke-linecap")) ? element.getAttribute("stroke-linecap") : "butt",
+        lineJoin: lineJoins.includes(element.getAttribute("stroke-linejoin")) ? element.getAttribute("stroke-linejoin") : "miter",
+    };
+    let shape = null;
+    switch (element.localName) {
+        case "rect":
+            if (element.getAttribute("data-role") === "background") {
+                return null;
+            }
+            shape = new Rectangle({ x: number("x"), y: number("y") }, settings, number("width"), number("height"));
+            break;
+        case "ellipse":
+        case "circle":
+            let rx = element.localName === "circle" ? number("r") : number("rx");
+            let ry = element.localName === "circle" ? number("r") : number("ry");
+            let position = { x: number("cx") - rx, y: number("cy") - ry };
+            shape = element.localName === "circle" ?
+                new Circle(position, settings, rx) :
+                new Oval(position, settings, rx, ry);
+            shape.x = number("cx") + rx;
+            shape.y = number("cy") + ry;
+            break;
+        case "line":
+            shape = new Line({ x: number("x1"), y: number("y1") }, settings, { x: number("x2"), y: number("y2") });
+            break;
+        case "polyline":
+        case "polygon":
+            let values = (element.getAttribute("points") || "").trim().split(/[\s,]+/).filter((v) => v !== "").map(parseFloat);
+            if (values.length < 2 || values.length % 2 !== 0 || values.some(isNaN)) {
+                return null;
+            }
+            let xs = values.filter((v, i) => i % 2 === 0);
+            let ys = values.filter((v, i) => i % 2 === 1);
+            if (element.getAttribute("data-type") === "RegularPolygon" &&
+                xs.length >= minPolygonSides && xs.length <= maxPolygonSides) {
+                // The center is the average of the corners, the first corner sets the size and rotation
+                let center = {
+                    x: xs.reduce((a, b) => a + b) / xs.length,
+                    y: ys.reduce((a, b) => a + b) / ys.length,
+                };
+                shape = new RegularPolygon(center, settings, xs.length, 0, 0);
+                shape.resize(xs[0], ys[0]);
+                break;
+            }
+            shape = element.localName === "polygon" ?
+                new Polygon({ x: xs[0], y: ys[0] }, settings) :
+                new Polyline({ x: xs[0], y: ys[0] }, settings);
+            for (let i = 1; i < xs.length; i++) {
+                shape.addPoint(xs[i], ys[i]);
+            }
+            break;
+        case "g":
+            let line = element.getElementsByTagName("line")[0];
+            if (element.getAttribute("data-type") !== "Arrow" || !line) {
+                return null;
+            }
+            let head = function (name) {
+                let type = element.getAttribute(name);
+                return arrowHeads.includes(type) ? type : "none";
+            };
+            let coordinate = function (name) {
+                let value = parseFloat(line.getAttribute(name));
+                return isNaN(value) ? 0 : value;
+            };
+            shape = new Arrow(
+                { x: coordinate("x1"), y: coordinate("y1") },
+                settings,
+                { x: coordinate("x2"), y: coordinate("y2") },
+                head("data-start-head"),
+                head("data-end-head")
+            );
+            break;
+        case "path":
+            if (element.getAttribute("data-type") === "BezierPath") {
+                let commands = parsePathData(element.getAttribute("d") || "");
+                if (!commands || commands.filter((command) => command.type === "M").length !== 1) {
+                    return null;
+                }
+                shape = bezierPathFromCommands(commands, settings);
+                break;
+            }
+            // Fills keep their runs of cells next to the path
+            if (element.getAttribute("data-type") === "FloodFill") {
+                let origin = (element.getAttribute("data-position") || "").split(" ").map(parseFloat);
+                let spans = (element.getAttribute("data-spans") || "").split(/\s+/).filter((v) => v !== "").map(Number);
+                if (origin.length !== 2 || origin.some(isNaN) || !(number("data-cell-size") > 0) ||
+                    spans.length % 3 !== 0 || !spans.every(Number.isInteger)) {
+                    return null;
+                }
+                shape = new FloodFill({ x: origin[0], y: origin[1] }, settings, number("data-cell-size"), spans);
+                break;
+            }
+            let commands = parsePathData(element.getAttribute("d") || "");
+            // A shape has a single outline
+            if (!commands || commands.filter((command) => command.type === "M").length !== 1) {
+                return null;
+            }
+            // Closed outlines and cubic curves of other tools become bezier paths
+            if (!erase && commands.some((command) => command.type === "C" || command.type === "Z")) {
+                shape = bezierPathFromCommands(commands, settings);
+                break;
+            }
+            let points = [];
+            let end = null;
+            commands.filter((command) => command.type !== "Z").forEach(function (command) {
+                points.push(command.type === "C" ? command.points[2] : command.points[0]);
+                end = command.type === "Q" ? command.points[1] : null;
+            });
+            let pressures = (element.getAttribute("data-pressure") || "").split(/\s+/).filter((v) => v !== "").map(parseFloat);
+            shape = erase ? new EraseList(points[0], settings) : new LineList(points[0], settings, pressures[0], brushFromSvg(element));
+            for (let i = 1; i < points.length; i++) {
+                shape.resize(points[i].x, points[i].y, pressures[i]);
+            }
+            // Curves end halfway to the last point, which brings it back
+            if (end) {
+                let last = points[points.length - 1];
+                shape.resize(2 * end.x - last.x, 2 * end.y - last.y, pressures[points.length]);
+            }
+            break;
+        case "text":
+            let align = element.getAttribute("data-align");
+            shape = new DrawnText(
+                { x: number("x"), y: number("y") },
+                settings,
+                textAlignments.includes(align) ? align : "left",
+                Math.max(number("data-box-width"), 0)
+            );
+            // Texts of other tools have their lines in tspans, if they have more than one
+            let lines = Array.from(element.children).filter((child) => child.localName === "tspan");
+            if (element.hasAttribute("data-text")) {
+                shape.insert(0, element.getAttribute("data-text"));
+            } else if (lines.length > 0) {
+                shape.insert(0, lines.map((line) => line.textContent).join("\n"));
+            } else {
+                shape.insert(0, element.textContent);
+            }
+            break;
+        default:
+            return null;
+    }
+    let own = svgTransformMatrix(element.getAttribute("transform") || "");
+    if (!own || !applySvgMatrix(shape, multiplyMatrices(matrix, own))) {
+        return null;
+    }
+    return shape;
+}
+
+/**
+ * Read the brush of a stroke written by LineList.toSvg().
+ *
+ * @param element A path element
+ * @returns {{type: string, options: Object, seed: number}|undefined} The brush, undefined for the pen
+ */
+function brushFromSvg(element) {
+    let type = element.getAttribute("data-brush");
+    if (!brushes.hasOwnProperty(type)) {
+        return undefined;
+    }
+    let options = {};
+    try {
+        options = JSON.parse(element.getAttribute("data-brush-options") || "{}");
+    } catch (e) {
+        // Options that can not be read are left at their default
+    }
+    let seed = parseInt(element.getAttribute("data-seed"), 10);
+    return { type: type, options: brushOptions(type, options), seed: isNaN(seed) ? 0 : seed };
+}
+// endregion
+
+// region Document format
+// The version of the json files written by this version of the tool
+const documentVersion = 4;
+
+/**
+ * An error found in a drawing that is being loaded.
+ */
+class DocumentError extends Error {
+    /**
+     * Create a new DocumentError.
+     *
+     * @param message What went wrong
+     * @param problems Details, e.g. one for each invalid shape
+     */
+    constructor(message, problems) {
+        super(message);
+        this.name = "DocumentError";
+        this.problems = problems || [];
+    }
+}
+
+// Functions bringing a drawing of a version to the next one
+const documentMigrations = {
+    /**
+     * Version 1 is a bare array of shapes, or an object with
+     * only the background and the shapes.
+     *
+     * @param data A drawing of version 1
+     * @returns {Object} The drawing as version 2
+     */
+    1: function (data) {
+        let bare = Array.isArray(data);
+        return {
+            format: "paintme",
+            version: 2,
+            canvas: null,
+            background: (!bare && data.background) || "transparent",
+            metadata: {},
+            shapes: bare ? data : data.shapes,
+        };
+    },
+    /**
+     * Version 2 has a single list of shapes, which becomes the only layer.
+     *
+     * @param data A drawing of version 2
+     * @returns {Object} The drawing as version 3
+     */
+    2: function (data) {
+        let migrated = Object.assign({}, data, {
+            version: 3,
+            layers: [{ name: "Capa 1", visible: true, locked: false, opacity: 1, shapes: data.shapes }],
+        });
+        delete migrated.shapes;
+        return migrated;
+    },
+    /**
+     * Version 4 adds to version 3 without changing anything that is there:
+     * compact lists of points besides the plain ones, flood fills, polylines,
+     * polygons, regular polygons, arrows, bezier paths, texts aligned and
+     * wrapped in a box, the opacity, fill colors, gradients, dashes, line
+     * caps and joins of shapes, and the brushes of strokes. Shapes without
+     * them are opaque, filled with the color of their lines, solid, and
+     * drawn with the pen.
+     *
+     * @param data A drawing of version 3
+     * @returns {Object} The drawing as version 4
+     */
+    3: function (data) {
+        return Object.assign({}, data, { version: 4 });
+    },
+};
+
+// Points of strokes are saved in tenths of a pixel, pressures in hundredths
+const pointPrecision = 10;
+const pressurePrecision = 100;
+
+/**
+ * Round numbers to integers and keep only the difference of each one to
+ * the one before, which keeps the numbers of a stroke short.
+ *
+ * @param values The numbers to encode
+ * @param precision What the numbers are multiplied with before rounding
+ * @param start The number before the first one
+ * @returns {number[]} The differences as integers
+ */
+function encodeDeltas(values, precision, start) {
+    let previous = Math.round(start * precision);
+    return values.map(function (value) {
+        let current = Math.round(value * precision);
+        let delta = current - previous;
+        previous = current;
+        return delta;
+    });
+}
+
+/**
+ * Bring back the numbers encoded by encodeDeltas().
+ *
+ * @param deltas The differences as integers
+ * @param precision What the numbers were multiplied with
+ * @param start The number before the first one
+ * @returns {number[]} The numbers
+ */
+function decodeDeltas(deltas, precision, start) {
+    let current = Math.round(start * precision);
+    return deltas.map(function (delta) {
+        current += delta;
+        return current / precision;
+    });
+}
+
+/**
+ * Replace the point lists of a json stroke by their compact form
+ * {x, y, pressure}, where coordinates start at the position of the stroke.
+ *
+ * @param jsonShape Json equivalent of a shape, changed in place
+ */
+function encodeShapePoints(jsonShape) {
+    if (!Array.isArray(jsonShape.xList)) {
+        return;
+    }
+    jsonShape.points = {
+        x: encodeDeltas(jsonShape.xList, pointPrecision, jsonShape.position.x),
+        y: encodeDeltas(jsonShape.yList, pointPrecision, jsonShape.position.y),
+    };
+    if (jsonShape.pressureList && jsonShape.pressureList.length > 0) {
+        jsonShape.points.pressure = encodeDeltas(jsonShape.pressureList, pressurePrecision, 0);
+    }
+    delete jsonShape.xList;
+    delete jsonShape.yList;
+    delete jsonShape.pressureList;
+}
+
+/**
+ * Bring the compact points of a json stroke back to plain point lists.
+ *
+ * @param jsonShape Json equivalent of a shape, changed in place
+ * @returns {string[]} A description of everything wrong with the compact points
+ */
+function decodeShapePoints(jsonShape) {
+    if (jsonShape === null || typeof jsonShape !== "object" || jsonShape.points === undefined) {
+        return [];
+    }
+    let points = jsonShape.points;
+    if (points === null || typeof points !== "object") {
+        return ['"points" no es un objeto'];
+    }
+    let problems = validateFields(points, pointsSchema).map((p) => "points: " + p);
+    if (problems.length > 0 || !matchesFieldType(jsonShape.position, "point")) {
+        return problems;
+    }
+    jsonShape.xList = decodeDeltas(points.x, pointPrecision, jsonShape.position.x);
+    jsonShape.yList = decodeDeltas(points.y, pointPrecision, jsonShape.position.y);
+    if (points.pressure) {
+        jsonShape.pressureList = decodeDeltas(points.pressure, pressurePrecision, 0);
+    }
+    delete jsonShape.points;
+    return [];
+}
+
+// What the fields of the json layers and shapes must hold, optional ones end in "?"
+const layerSchema = { name: "string", visible: "boolean", locked: "boolean", opacity: "number" };
+const settingsSchema = {
+    color: "string",
+    filled: "boolean",
+    width: "number",
+    font: "string",
+    "opacity?": "number",
+    "fillColor?": "string",
+    "stroked?": "boolean",
+    "gradient?": "gradient",
+    "dash?": "numbers",
+    "lineCap?": "string",
+    "lineJoin?": "string",
+};
+const transformSchema = { rotation: "number", scaleX: "number", scaleY: "number" };
+const pointsSchema = { x: "integers", y: "integers", "pressure?": "integers" };
+const shapeSchemas = {
+    Rectangle: { position: "point", width: "number", height: "number" },
+    Oval: { position: "point", xRadius: "number", yRadius: "number", "x?": "number", "y?": "number" },
+    Circle: { position: "point", xRadius: "number", "x?": "number", "y?": "number" },
+    Line: { position: "point", endPosition: "point" },
+    LineList: { position: "point", xList: "numbers", yList: "numbers", "pressureList?": "numbers", "brush?": "brush" },
+    EraseList: { position: "point", xList: "numbers", yList: "numbers" },
+    DrawnText: { position: "point", chars: "chars", "align?": "string", "boxWidth?": "number" },
+    FloodFill: { position: "point", cellSize: "number", spans: "integers" },
+    Polyline: { position: "point", xList: "numbers", yList: "numbers" },
+    Polygon: { position: "point", xList: "numbers", yList: "numbers" },
+    RegularPolygon: { position: "point", sides: "number", radius: "number", angle: "number" },
+    Arrow: { position: "point", endPosition: "point", startHead: "string", endHead: "string" },
+    BezierPath: { position: "point", anchors: "anchors", closed: "boolean" },
+};
+
+// Descriptions of the field types, for error messages
+const fieldTypeNames = {
+    string: "un texto",
+    boolean: "verdadero o falso",
+    number: "un número",
+    point: "un punto {x, y}",
+    numbers: "una lista de números",
+    integers: "una lista de números enteros",
+    chars: "una lista de caracteres",
+    anchors: "una lista de anclas {x, y, inX, inY, outX, outY}",
+    gradient: "un degradado {type, angle, stops} o null",
+    brush: "un pincel {type, options, seed} conocido",
+};
+
+/**
+ * Check a value against a field type of the schemas.
+ *
+ * @param value Any json value
+ * @param type One of the keys of fieldTypeNames
+ * @returns {boolean}
+ */
+function matchesFieldType(value, type) {
+    let isNumber = (n) => typeof n === "number" && isFinite(n);
+    switch (type) {
+        case "number":
+            return isNumber(value);
+        case "point":
+            return value !== null && typeof value === "object" && isNumber(value.x) && isNumber(value.y);
+        case "numbers":
+            return Array.isArray(value) && value.every(isNumber);
+        case "integers":
+            return Array.isArray(value) && value.every(Number.isInteger);
+        case "chars":
+            return Array.isArray(value) && value.every((c) => typeof c === "string");
+        case "anchors":
+            return Array.isArray(value) && value.every((a) => a !== null && typeof a === "object" &&
+                ["x", "y", "inX", "inY", "outX", "outY"].every((key) => isNumber(a[key])));
+        case "gradient":
+            return value === null || (typeof value === "object" && typeof value.type === "string" &&
+                isNumber(value.angle) && Array.isArray(value.stops) && value.stops.every((stop) =>
+                    stop !== null && typeof stop === "object" && isNumber(stop.offset) && typeof stop.color === "string"));
+        case "brush":
+            return value !== null && typeof value === "object" && brushes.hasOwnProperty(value.type) &&
+                value.options !== null && typeof value.options === "object" &&
+                Object.keys(value.options).every((key) => isNumber(value.options[key])) && Number.isInteger(value.seed);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Check an object against a schema.
+ *
+ * @param object The object to check
+ * @param schema Field names mapped to field types
+ * @returns {string[]} A description of every invalid field
+ */
+function validateFields(object, schema) {
+    let problems = [];
+    Object.keys(schema).forEach(function (key) {
+        let optional = key.endsWith("?");
+        let field = optional ? key.slice(0, -1) : key;
+        if (object[field] === undefined) {
+            if (!optional) {
+                problems.push('falta "' + field + '"');
+            }
+        } else if (!matchesFieldType(object[field], schema[key])) {
+            problems.push('"' + field + '" debe ser ' + fieldTypeNames[schema[key]]);
+        }
+    });
+    return problems;
+}
+
+/**
+ * Check the values of the settings of a json shape, once their types are right.
+ *
+ * @param settings The settings of a json shape
+ * @returns {string[]} A description of every invalid value
+ */
+function validateSettings(settings) {
+    let problems = [];
+    if (typeof settings.opacity === "number" && (settings.opacity < 0 || settings.opacity > 1)) {
+        problems.push('"opacity" debe estar entre 0 y 1');
+    }
+    [["lineCap", lineCaps], ["lineJoin", lineJoins]].forEach(function (field) {
+        if (typeof settings[field[0]] === "string" && !field[1].includes(settings[field[0]])) {
+            problems.push('"' + field[0] + '" debe ser uno de ' + field[1].join(", "));
+        }
+    });
+    if (Array.isArray(settings.dash) && settings.dash.some((length) => length < 0)) {
+        problems.push('"dash" no puede tener largos negativos');
+    }
+    if (matchesFieldType(settings.gradient, "gradient") && settings.gradient) {
+        let gradient = settings.gradient;
+        if (!gradientTypes.includes(gradient.type)) {
+            problems.push('"gradient.type" debe ser uno de ' + gradientTypes.join(", "));
+        }
+        if (gradient.stops.length < 2) {
+            problems.push('"gradient.stops" debe tener al menos dos colores');
+        }
+        if (gradient.stops.some((stop) => stop.offset < 0 || stop.offset > 1 || normalizeColor(stop.color) === null)) {
+            problems.push('"gradient.stops" debe tener posiciones entre 0 y 1 y colores válidos');
+        }
+    }
+    return problems;
+}
+
+/**
+ * Check a json shape.
+ *
+ * @param jsonShape Json equivalent of a shape
+ * @returns {string[]} A description of everything wrong with it
+ */
+function validateShapeJson(jsonShape) {
+    if (jsonShape === null || typeof jsonShape !== "object") {
+        return ["no es un objeto"];
+    }
+    let schema = shapeSchemas[jsonShape.type];
+    if (!schema) {
+        return ['el tipo "' + jsonShape.type + '" no existe'];
+    }
+    let problems = validateFields(jsonShape, schema);
+    if (!jsonShape.settings || typeof jsonShape.settings !== "object") {
+        problems.push('falta "settings"');
+    } else {
+        problems = problems.concat(validateFields(jsonShape.settings, settingsSchema).map((p) => "settings: " + p));
+        problems = problems.concat(validateSettings(jsonShape.settings).map((p) => "settings: " + p));
+    }
+    if (jsonShape.transform !== undefined) {
+        problems = problems.concat(validateFields(jsonShape.transform || {}, transformSchema).map((p) => "transform: " + p));
+    }
+    if (Array.isArray(jsonShape.xList) && Array.isArray(jsonShape.yList) && jsonShape.xList.length !== jsonShape.yList.length) {
+        problems.push('"xList" y "yList" no tienen el mismo largo');
+    }
+    if (Array.isArray(jsonShape.pressureList) && jsonShape.pressureList.length > 0 &&
+        Array.isArray(jsonShape.xList) && jsonShape.pressureList.length !== jsonShape.xList.length + 1) {
+        problems.push('"pressureList" debe tener un valor más que "xList"');
+    }
+    if (Array.isArray(jsonShape.spans) && jsonShape.spans.length % 3 !== 0) {
+        problems.push('"spans" debe tener tres números por tramo');
+    }
+    if (typeof jsonShape.cellSize === "number" && jsonShape.cellSize <= 0) {
+        problems.push('"cellSize" debe ser mayor que 0');
+    }
+    if (typeof jsonShape.sides === "number" && !(Number.isInteger(jsonShape.sides) &&
+        jsonShape.sides >= minPolygonSides && jsonShape.sides <= maxPolygonSides)) {
+        problems.push('"sides" debe ser un número entero de ' + minPolygonSides + " a " + maxPolygonSides);
+    }
+    ["startHead", "endHead"].forEach(function (field) {
+        if (typeof jsonShape[field] === "string" && !arrowHeads.includes(jsonShape[field])) {
+            problems.push('"' + field + '" debe ser uno de ' + arrowHeads.join(", "));
+        }
+    });
+    if (typeof jsonShape.align === "string" && !textAlignments.includes(jsonShape.align)) {
+        problems.push('"align" debe ser uno de ' + textAlignments.join(", "));
+    }
+    if (typeof jsonShape.boxWidth === "number" && jsonShape.boxWidth < 0) {
+        problems.push('"boxWidth" no puede ser negativo');
+    }
+    if (Array.isArray(jsonShape.anchors) && jsonShape.anchors.length < 2) {
+        problems.push('"anchors" debe tener al menos dos anclas');
+    }
+    return problems;
+}
+
+/**
+ * Parse a json drawing of any version, bring it to the current
+ * version and make sure every shape in it can be drawn.
+ *
+ * @param text The contents of a json file
+ * @returns {Object} The drawing in the current version
+ * @throws {DocumentError} If the drawing can not be read
+ */
+function parseDocument(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new DocumentError("El archivo no es un json válido.", [e.message]);
+    }
+    return readDocument(data);
+}
+
+/**
+ * Bring a drawing of any version to the current version
+ * and make sure every shape in it can be drawn.
+ *
+ * @param data The json object of a drawing
+ * @returns {Object} The drawing in the current version
+ * @throws {DocumentError} If the drawing can not be read
+ */
+function readDocument(data) {
+    if (data === null || typeof data !== "object") {
+        throw new DocumentError("El archivo no contiene un dibujo.");
+    }
+    let version = Array.isArray(data) || data.version === undefined ? 1 : data.version;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new DocumentError("El dibujo no tiene una versión válida.", ['"version" debe ser un número entero desde 1']);
+    }
+    if (version > documentVersion) {
+        throw new DocumentError("El dibujo fue creado con una versión más nueva de la herramienta.");
+    }
+    while (version < documentVersion) {
+        data = documentMigrations[version](data);
+        version = data.version;
+    }
+    if (data.format !== "paintme") {
+        throw new DocumentError("El archivo no es un dibujo de esta herramienta.", ['"format" debe ser "paintme"']);
+    }
+    let canvas = data.canvas;
+    if (canvas !== null && canvas !== undefined && (typeof canvas !== "object" ||
+        !["width", "height"].every((key) => typeof canvas[key] === "number" && canvas[key] > 0))) {
+        throw new DocumentError("El dibujo tiene un tamaño de lienzo inválido.", ['"canvas" debe tener "width" y "height" positivos']);
+    }
+    if (!Array.isArray(data.layers) || data.layers.length === 0) {
+        throw new DocumentError("El dibujo no tiene una lista de capas.");
+    }
+    let problems = [];
+    data.layers.forEach(function (layer, i) {
+        let name = "Capa " + (i + 1);
+        if (layer === null || typeof layer !== "object") {
+            problems.push(name + ": no es un objeto");
+            return;
+        }
+        validateFields(layer, layerSchema).forEach((problem) => problems.push(name + ": " + problem));
+        if (typeof layer.opacity === "number" && (layer.opacity < 0 || layer.opacity > 1)) {
+            problems.push(name + ': "opacity" debe estar entre 0 y 1');
+        }
+        if (!Array.isArray(layer.shapes)) {
+            problems.push(name + ': "shapes" debe ser una lista de figuras');
+            return;
+        }
+        layer.shapes.forEach(function (jsonShape, j) {
+            let shapeProblems = decodeShapePoints(jsonShape);
+            if (shapeProblems.length === 0) {
+                shapeProblems = validateShapeJson(jsonShape);
+            }
+            shapeProblems.forEach(function (problem) {
+                let type = jsonShape && jsonShape.type ? " (" + jsonShape.type + ")" : "";
+                problems.push(name + ", figura " + (j + 1) + type + ": " + problem);
+            });
+        });
+    });
+    if (problems.length > 0) {
+        throw new DocumentError("El dibujo tiene capas o figuras inválidas.", problems);
+    }
+    data.metadata = data.metadata || {};
+    return data;
+}
+// endregion
+
+// region Colors
+// How many of the last used colors are remembered
+const recentColorCount = 12;
+
+// The palette there is before any is made or imported
+const defaultPalette = {
+    name: "Básica",
+    colors: [
+        "#000000", "#7f7f7f", "#ffffff", "#e53935", "#fb8c00", "#fdd835",
+        "#43a047", "#00acc1", "#1e88e5", "#8e24aa", "#d81b60", "#6d4c41",
+    ],
+};
+
+/**
+ * Write a color as #rrggbb in lower case. Besides hex colors,
+ * anything a canvas understands is read, e.g. "red".
+ *
+ * @param color A css color
+ * @returns {string|null} The color, null if it is not one
+ */
+function normalizeColor(color) {
+    if (typeof color !== "string") {
+        return null;
+    }
+    let hex = color.trim().toLowerCase();
+    if (/^#[0-9a-f]{3}$/.test(hex)) {
+        return "#" + hex[1] + hex[1] + hex[2] + hex[2] + hex[3] + hex[3];
+    }
+    if (/^#[0-9a-f]{6}$/.test(hex)) {
+        return hex;
+    }
+    // The context answers with its default for anything it can not read
+    measureContext.fillStyle = "#010203";
+    measureContext.fillStyle = hex;
+    let parsed = measureContext.fillStyle;
+    return /^#[0-9a-f]{6}$/.test(parsed) && (parsed !== "#010203" || hex === "#010203") ? parsed : null;
+}
+
+/**
+ * The red, green and blue of a #rrggbb color.
+ *
+ * @param color A color as written by normalizeColor()
+ * @returns {number[]} The three channels, from 0 to 255
+ */
+function colorChannels(color) {
+    return [1, 3, 5].map((i) => parseInt(color.slice(i, i + 2), 16));
+}
+
+/**
+ * Write red, green and blue as a #rrggbb color.
+ *
+ * @param channels The three channels, from 0 to 255
+ * @returns {string}
+ */
+function channelsToColor(channels) {
+    return "#" + channels.map((c) => Math.min(Math.max(Math.round(c), 0), 255).toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Check a palette read from a file or the browser and normalize its colors.
+ *
+ * @param data Any json value
+ * @returns {{name: string, colors: string[]}|null} The palette, null if it is not one
+ */
+function readPalette(data) {
+    if (data === null || typeof data !== "object" || typeof data.name !== "string" || !Array.isArray(data.colors)) {
+        return null;
+    }
+    let colors = data.colors.map(normalizeColor);
+    if (colors.includes(null)) {
+        return null;
+    }
+    return { name: data.name.trim() || "Paleta", colors: colors };
+}
+
+/**
+ * Write a palette as a GIMP palette, every color named by its hex code.
+ *
+ * @param palette A palette {name, colors}
+ * @returns {string} The contents of a .gpl file
+ */
+function paletteToGpl(palette) {
+    let lines = ["GIMP Palette", "Name: " + palette.name.replace(/[\r\n]+/g, " "), "Columns: 6", "#"];
+    palette.colors.forEach(function (color) {
+        let channels = colorChannels(color).map((c) => String(c).padStart(3, " "));
+        lines.push(channels.join(" ") + "\t" + color);
+    });
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Read a GIMP palette. Comments and the number of columns are skipped,
+ * so are the names of the colors.
+ *
+ * @param text The contents of a .gpl file
+ * @param fallbackName The name to use if the file has none
+ * @returns {{name: string, colors: string[]}|null} The palette, null if the file is not one
+ */
+function paletteFromGpl(text, fallbackName) {
+    let lines = text.split(/\r?\n/);
+    if (lines[0].trim() !== "GIMP Palette") {
+        return null;
+    }
+    let palette = { name: fallbackName, colors: [] };
+    for (let i = 1; i < lines.length; i++) {
+        let line = lines[i].trim();
+        let name = /^Name:\s*(.*)$/.exec(line);
+        if (name) {
+            palette.name = name[1].trim() || fallbackName;
+            continue;
+        }
+        if (line === "" || line.startsWith("#") || line.startsWith("Columns:")) {
+            continue;
+        }
+        let channels = /^(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+        if (!channels || channels.slice(1).some((c) => parseInt(c) > 255)) {
+            return null;
+        }
+        palette.colors.push(channelsToColor(channels.slice(1).map((c) => parseInt(c))));
+    }
+    return palette;
+}
+
+/**
+ * Read a palette file, either json as written by the tool or a GIMP palette.
+ *
+ * @param text The contents of the file
+ * @param fileName The name of the file, naming palettes without a name
+ * @returns {{name: string, colors: string[]}|null} The palette, null if the file is not one
+ */
+function paletteFromFile(text, fileName) {
+    let name = fileName.replace(/\.[^.]*$/, "");
+    if (!text.trimStart().startsWith("{")) {
+        return paletteFromGpl(text, name);
+    }
+    try {
+        let data = JSON.parse(text);
+        return readPalette(Object.assign({ name: name }, data));
+    } catch (e) {
+        return null;
+    }
+}
+// endregion
+
+// region Storage
+// How many drawings are kept in the browser, older ones are deleted
+const storedDocumentLimit = 30;
+
+/**
+ * The summary of a stored drawing, i.e. its record without the document.
+ *
+ * @param record A record of the document store
+ * @returns {{id: string, title: string, modified: string, shapeCount: number}}
+ */
+function documentSummary(record) {
+    return { id: record.id, title: record.title, modified: record.modified, shapeCount: record.shapeCount };
+}
+
+/**
+ * Drawings kept in the IndexedDB of the browser. Records are
+ * {id, title, modified, shapeCount, document}. Their summaries, the
+ * records without the document, are kept apart, so listing and trimming
+ * the drawings never reads the drawings themselves.
+ */
+class DocumentStore {
+    /**
+     * Create a new DocumentStore.
+     *
+     * @param name The name of the database
+     * @param limit How many records are kept at most
+     */
+    constructor(name, limit) {
+        this.name = name;
+        this.limit = limit;
+        // The database, opened on first use
+        this.db = null;
+    }
+
+    /**
+     * Open the database, creating or upgrading it the first time.
+     *
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                let request = indexedDB.open(this.name, 2);
+                request.addEventListener("upgradeneeded", function (evt) {
+                    let db = request.result;
+                    if (evt.oldVersion < 1) {
+                        db.createObjectStore("documents", { keyPath: "id" });
+                    }
+                    if (evt.oldVersion < 2) {
+                        let summaries = db.createObjectStore("summaries", { keyPath: "id" });
+                        summaries.createIndex("modified", "modified");
+                        // Drawings stored before get their summary once
+                        let cursorRequest = request.transaction.objectStore("documents").openCursor();
+                        cursorRequest.addEventListener("success", function () {
+                            let cursor = cursorRequest.result;
+                            if (cursor) {
+                                summaries.put(documentSummary(cursor.value));
+                                cursor.continue();
+                            }
+                        });
+                    }
+                });
+                request.addEventListener("success", () => resolve(request.result));
+                request.addEventListener("error", () => reject(request.error));
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Run requests in a transaction of their own.
+     *
+     * @param mode "readonly" or "readwrite"
+     * @param action A function making the requests on the transaction, returning the one whose result is wanted
+     * @returns {Promise} The result of the request, once the transaction is complete
+     */
+    async request(mode, action) {
+        let db = await this.open();
+        return new Promise(function (resolve, reject) {
+            let transaction = db.transaction(["documents", "summaries"], mode);
+            let request = action(transaction);
+            transaction.addEventListener("complete", () => resolve(request ? request.result : undefined));
+            transaction.addEventListener("error", () => reject(transaction.error));
+        });
+    }
+
+    /**
+     * Add or overwrite a record. The least recently modified records
+     * beyond the limit are deleted along, found by their keys only.
+     *
+     * @param record The record to store
+     * @returns {Promise}
+     */
+    save(record) {
+        return this.request("readwrite", (transaction) => {
+            let documents = transaction.objectStore("documents");
+            let summaries = transaction.objectStore("summaries");
+            documents.put(record);
+            summaries.put(documentSummary(record));
+            let kept = 0;
+            let cursorRequest = summaries.index("modified").openKeyCursor(null, "prev");
+            cursorRequest.addEventListener("success", () => {
+                let cursor = cursorRequest.result;
+                if (!cursor) {
+                    return;
+                }
+                kept++;
+                if (kept > this.limit) {
+                    documents.delete(cursor.primaryKey);
+                    summaries.delete(cursor.primaryKey);
+                }
+                cursor.continue();
+            });
+            return null;
+        });
+    }
+
+    /**
+     * Find a record.
+     *
+     * @param id The id of the record
+     * @returns {Promise<Object|undefined>}
+     */
+    get(id) {
+        return this.request("readonly", (transaction) => transaction.objectStore("documents").get(id));
+    }
+
+    /**
+     * Find the summary of a record.
+     *
+     * @param id The id of the record
+     * @returns {Promise<Object|undefined>} The record without its document
+     */
+    getSummary(id) {
+        return this.request("readonly", (transaction) => transaction.objectStore("summaries").get(id));
+    }
+
+    /**
+     * The summaries of all records, the latest modified first.
+     *
+     * @returns {Promise<Object[]>} The records without their documents
+     */
+    async list() {
+        let summaries = await this.request("readonly", (transaction) =>
+            transaction.objectStore("summaries").index("modified").getAll());
+        return summaries.reverse();
+    }
+
+    /**
+     * Delete a record.
+     *
+     * @param id The id of the record
+     * @returns {Promise}
+     */
+    remove(id) {
+        return this.request("readwrite", (transaction) => {
+            transaction.objectStore("documents").delete(id);
+            return transaction.objectStore("summaries").delete(id);
+        });
+    }
+}
+
+/**
+ * A new random id for a stored drawing.
+ *
+ * @returns {string}
+ */
+function createDocumentId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Read a preference kept in the local storage of the browser.
+ *
+ * @param name The name of the preference
+ * @param fallback What to use if it was never saved or can not be read
+ * @returns {*} The saved json value
+ */
+function loadPreference(name, fallback) {
+    try {
+        let value = window.localStorage.getItem("paintme-" + name);
+        return value === null ? fallback : JSON.parse(value);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * Keep a preference in the local storage of the browser. Browsers
+ * refusing to store it, e.g. in private windows, only forget it.
+ *
+ * @param name The name of the preference
+ * @param value Any json value
+ */
+function savePreference(name, value) {
+    try {
+        window.localStorage.setItem("paintme-" + name, JSON.stringify(value));
+    } catch (e) {
+        // Kept until the page is closed
+    }
+}
+// endregion
+
+// Render HTML
+let htmlContent = `
+<!-- Navigation bar -->
+    <nav id="main-nav" class="navbar-paintme">
+      <div class="container-fluid">
+        <!-- Shapes -->
+        <ul id="shape-list" class="nav-paintme">
+          <li class="nav-item-paintme" data-shape="rectangle">
+            <a>
+              <img src="./assets/icons/box.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme" data-shape="oval">
+            <a>
+              <img src="./assets/icons/ellipse.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme" data-shape="circle">
+            <a>
+              <img src="./assets/icons/circle.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme" data-shape="line">
+            <a>
+              <img src="./assets/icons/ruler.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme" data-shape="arrow">
+            <a>
+              <img src="./assets/icons/arrow.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme" data-shape="polyline">
+            <a>
+              <img src="./assets/icons/polyline.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme" data-shape="polygon">
+            <a>
+              <img src="./assets/icons/polygon.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme" data-shape="regularPolygon">
+            <a>
+              <img src="./assets/icons/hexagon.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme" data-shape="pen">
+            <a>
+              <img src="./assets/icons/bezier.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme active" data-shape="lineList">
+            <a>
+              <span class="glyphicon glyphicon-pencil"></span>
+              <img src="./assets/icons/pen.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme" data-shape="floodFill">
+            <a>
+              <img src="./assets/icons/paint-bucket.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme" data-shape="eyedropper">
+            <a>
+              <img src="./assets/icons/eyedropper.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme" data-shape="text">
+            <a>
+              <img src="./assets/icons/text--font.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme" data-shape="eraseList">
+            <a>
+              <img src="./assets/icons/erase.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme" data-shape="objectEraser">
+            <a>
+              <img src="./assets/icons/erase--object.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme" data-shape="move">
+            <a>
+              <img src="./assets/icons/move.svg" alt="" />
+            </a>
+          </li>
+        </ul>
+        <!-- Settings -->
+        <ul id="settings-list" class="nav-paintme">
+          <li class="nav-item-paintme">
+            <a>
+              <input id="color-selector" type="color" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a id="btn-colors">
+              <img src="./assets/icons/color-palette.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a data-toggle="modal" id="btn-size">
+              <img src="./assets/icons/zoom--in-area.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a id="fill-toggle" data-filled="no">
+              <img src="./assets/icons/shape--except.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a id="btn-style">
+              <img src="./assets/icons/stroke-style.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a id="btn-brush">
+              <img src="./assets/icons/paint-brush.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a id="btn-snap">
+              <img src="./assets/icons/magnet.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a id="btn-background">
+              <img src="./assets/icons/grid.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a id="btn-layers">
+              <img src="./assets/icons/layers.svg" alt="" />
+            </a>
+          </li>
+        </ul>
+        <!-- View -->
+        <ul id="view-list" class="nav-paintme">
+          <li class="nav-item-paintme">
+            <a id="btn-zoom-fit" title="Ajustar a la pantalla">
+              <img src="./assets/icons/fit-to-screen.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a id="btn-zoom-reset" title="Restablecer zoom">
+              <span id="zoom-level">100%</span>
+            </a>
+          </li>
+        </ul>
+        <!-- IO -->
+        <ul id="io-list" class="nav-paintme">
+          <li class="nav-item-paintme">
+            <a id="img-save">
+              <img src="./assets/icons/download.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a id="img-load">
+              <img src="./assets/icons/upload.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a id="img-recent">
+              <img src="./assets/icons/folder.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a id="img-export">
+              <img src="./assets/icons/image.svg" alt="" />
+            </a>
+          </li>
+        </ul>
+        <!-- Undo + Redo -->
+        <ul id="time-travel" class="nav-paintme">
+          <li class="nav-item-paintme">
+            <a id="img-clear">
+              <img src="./assets/icons/trash-can.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a id="btn-undo">
+              <img src="./assets/icons/undo.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a id="btn-redo">
+              <img src="./assets/icons/redo.svg" alt="" />
+            </a>
+          </li>
+          <li class="nav-item-paintme">
+            <a id="btn-history">
+              <img src="./assets/icons/time.svg" alt="" />
+            </a>
+          </li>
+        </ul>
+      </div>
+    </nav>
+
+    <!-- Canvas -->
+    <div class="container-fluid">
+      <canvas id="canvas"> Tu navegador no soporta esta aplicación :( </canvas>
+      <textarea id="text-input" autocomplete="off" autocapitalize="off" spellcheck="false"></textarea>
+    </div>
+
+    <!-- Messages for the user -->
+    <div id="notice"></div>
+
+    <!-- Hidden panel listing the history -->
+    <div id="history-panel" class="side-panel">
+      <div class="side-panel-header">
+        <h4 class="side-panel-title">Historial</h4>
+        <label class="side-panel-setting">
+          Pasos
+          <input id="history-limit" type="number" min="1" max="500" value="50" />
+        </label>
+      </div>
+      <ol id="history-list" class="side-panel-list"></ol>
+    </div>
+
+    <!-- Hidden panel listing the layers, the top most first -->
+    <div id="layers-panel" class="side-panel">
+      <div class="side-panel-header">
+        <h4 class="side-panel-title">Capas</h4>
+        <div class="side-panel-actions">
+          <a id="layer-add" title="Nueva capa">
+            <img src="./assets/icons/add.svg" alt="" />
+          </a>
+          <a id="layer-delete" title="Eliminar capa">
+            <img src="./assets/icons/trash-can.svg" alt="" />
+          </a>
+        </div>
+      </div>
+      <ol id="layers-list" class="side-panel-list layers-list"></ol>
+    </div>
+
+    <!-- Hidden panel with the opacity, the recent colors and the palettes -->
+    <div id="colors-panel" class="side-panel">
+      <div class="side-panel-header">
+        <h4 class="side-panel-title">Colores</h4>
+        <label class="side-panel-setting">
+          Opacidad
+          <input id="color-opacity" type="range" min="0" max="100" value="100" />
+        </label>
+      </div>
+      <div class="color-options">
+        <span class="color-section">Recientes</span>
+        <div id="recent-colors" class="swatches"></div>
+        <div class="palette-header">
+          <select id="palette-select" title="Paleta"></select>
+          <div class="side-panel-actions">
+            <a id="palette-add-color" title="Añadir el color actual">
+              <img src="./assets/icons/add.svg" alt="" />
+            </a>
+            <a id="palette-new" title="Nueva paleta">
+              <img src="./assets/icons/color-palette.svg" alt="" />
+            </a>
+            <a id="palette-delete" title="Eliminar paleta">
+              <img src="./assets/icons/trash-can.svg" alt="" />
+            </a>
+          </div>
+        </div>
+        <div id="palette-colors" class="swatches"></div>
+        <div class="palette-header">
+          <select id="palette-format" title="Formato">
+            <option value="json">JSON</option>
+            <option value="gpl">GIMP (.gpl)</option>
+          </select>
+          <div class="side-panel-actions">
+            <a id="palette-import" title="Importar paleta">
+              <img src="./assets/icons/upload.svg" alt="" />
+            </a>
+            <a id="palette-export" title="Exportar paleta">
+              <img src="./assets/icons/download.svg" alt="" />
+            </a>
+          </div>
+        </div>
+      </div>
+    </div>
+
+    <!-- Hidden panel with the fill and the style of the lines -->
+    <div id="style-panel" class="side-panel">
+      <div class="side-panel-header">
+        <h4 class="side-panel-title">Trazo y relleno</h4>
+      </div>
+      <table class="style-options">
+        <tbody>
+          <tr>
+            <td>Relleno</td>
+            <td>
+              <input id="fill-color" type="color" value="#000000" />
+              <label><input id="fill-follows" type="checkbox" checked /> Como la línea</label>
+            </td>
+          </tr>
+          <tr>
+            <td>Borde</td>
+            <td>
+              <label><input id="stroke-toggle" type="checkbox" /> Contornear los rellenos</label>
+            </td>
+          </tr>
+          <tr>
+            <td>Degradado</td>
+            <td>
+              <select id="gradient-type">
+                <option value="none">Sin degradado</option>
+                <option value="linear">Lineal</option>
+                <option value="radial">Radial</option>
+              </select>
+            </td>
+          </tr>
+          <tr>
+            <td>Hasta</td>
+            <td>
+              <input id="gradient-color" type="color" value="#ffffff" />
+              <input id="gradient-angle" type="number" min="0" max="345" step="15" value="0" title="Ángulo" />°
+            </td>
+          </tr>
+          <tr>
+            <td>Línea</td>
+            <td>
+              <select id="dash-style">
+                <option value="solid">Continua</option>
+                <option value="dashed">Discontinua</option>
+                <option value="dotted">Punteada</option>
+                <option value="dashDot">Raya y punto</option>
+              </select>
+            </td>
+          </tr>
+          <tr>
+            <td>Extremos</td>
+            <td>
+              <select id="line-cap">
+                <option value="butt">Planos</option>
+                <option value="round">Redondos</option>
+                <option value="square">Cuadrados</option>
+              </select>
+            </td>
+          </tr>
+          <tr>
+            <td>Esquinas</td>
+            <td>
+              <select id="line-join">
+                <option value="miter">En punta</option>
+                <option value="round">Redondas</option>
+                <option value="bevel">Biseladas</option>
+              </select>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+
+    <!-- Hidden panel with what the points of new shapes snap to -->
+    <div id="snap-panel" class="side-panel">
+      <div class="side-panel-header">
+        <h4 class="side-panel-title">Ajustar</h4>
+      </div>
+      <table class="style-options">
+        <tbody>
+          <tr>
+            <td>Cuadrícula</td>
+            <td>
+              <label><input id="snap-grid" type="checkbox" /> Ajustar</label>
+              <input id="grid-size" type="number" min="2" max="200" step="1" value="20" title="Separación" /> px
+            </td>
+          </tr>
+          <tr>
+            <td>Figuras</td>
+            <td>
+              <label><input id="snap-shapes" type="checkbox" /> Esquinas, centros y extremos</label>
+            </td>
+          </tr>
+          <tr>
+            <td>Líneas</td>
+            <td>
+              <label><input id="snap-angles" type="checkbox" /> Ángulos de 15°</label>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+      <p class="snap-hint">Mayús dibuja cuadrados, círculos y ángulos de 15°.</p>
+    </div>
+
+    <!-- Hidden panel with the brushes of freehand strokes and their options -->
+    <div id="brush-panel" class="side-panel">
+      <div class="side-panel-header">
+        <h4 class="side-panel-title">Pinceles</h4>
+      </div>
+      <ul id="brush-list" class="side-panel-list"></ul>
+      <table id="brush-options" class="style-options">
+        <tbody></tbody>
+      </table>
+      <label class="brush-recognition">
+        <input id="recognize-shapes" type="checkbox" /> Reconocer figuras
+      </label>
+    </div>
+
+    <!-- Hidden panel with the style of texts, shown along with the text tool -->
+    <div id="text-panel" class="side-panel">
+      <div class="side-panel-header">
+        <h4 class="side-panel-title">Texto</h4>
+      </div>
+      <div class="text-options">
+        <select id="font-family" title="Fuente">
+          <option value="sans-serif">Sans serif</option>
+          <option value="serif">Serif</option>
+          <option value="monospace">Monoespaciada</option>
+          <option value="Arial, sans-serif">Arial</option>
+          <option value="Georgia, serif">Georgia</option>
+          <option value="'Courier New', monospace">Courier New</option>
+          <option value="'Comic Sans MS', cursive">Comic Sans</option>
+        </select>
+        <div class="text-buttons">
+          <a id="text-bold" title="Negrita">
+            <img src="./assets/icons/text--bold.svg" alt="" />
+          </a>
+          <a id="text-italic" title="Cursiva">
+            <img src="./assets/icons/text--italic.svg" alt="" />
+          </a>
+          <a class="text-align" data-align="left" title="Alinear a la izquierda">
+            <img src="./assets/icons/text--align--left.svg" alt="" />
+          </a>
+          <a class="text-align" data-align="center" title="Centrar">
+            <img src="./assets/icons/text--align--center.svg" alt="" />
+          </a>
+          <a class="text-align" data-align="right" title="Alinear a la derecha">
+            <img src="./assets/icons/text--align--right.svg" alt="" />
+          </a>
+        </div>
+      </div>
+    </div>
+
+    <!-- Hidden modal for choosing the paper -->
+    <div id="bg-modal" class="modal">
+      <div class="modal-dialog">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h4 class="modal-title">Fondo</h4>
+            <button type="button" class="close btn-close-modal-bg" data-dismiss="modal">
+              <img src="./assets/icons/icons8_multiply.svg" alt="">
+            </button>
+          </div>
+          <div class="modal-body">
+            <div class="group-options">
+              <button type="button" id="opt1" class="button-card-option active" data-background="transparent">
+                Transparente
+              </button>
+              <button type="button" id="opt2" class="button-card-option" data-background="white">
+                Blanco
+              </button>
+              <button type="button" id="opt3" class="button-card-option" data-background="grid"></button>
+              <button type="button" id="opt4" class="button-card-option" data-background="ruled"></button>
+              <button type="button" id="opt5" class="button-card-option" data-background="squared"></button>
+              <button type="button" id="opt6" class="button-card-option" data-background="lined"></button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+
+    <!-- Hidden modal listing the drawings saved in the browser -->
+    <div id="recent-modal" class="modal">
+      <div class="modal-dialog">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h4 class="modal-title">Dibujos recientes</h4>
+            <button type="button" class="close abort" data-dismiss="modal">
+              <img src="./assets/icons/icons8_multiply.svg" alt="">
+            </button>
+          </div>
+          <div class="modal-body">
+            <p id="restore-prompt">¿Quieres restaurar la sesión anterior?</p>
+            <ul id="recent-list" class="document-list"></ul>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn abort">
+              Cerrar
+            </button>
+            <button type="button" class="btn confirm">
+              Restaurar
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+
+    <!-- Hidden modal for exporting images -->
+    <div id="export-modal" class="modal">
+      <div class="modal-dialog">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h4 class="modal-title">Exportar imagen</h4>
+            <button type="button" class="close abort" data-dismiss="modal">
+              <img src="./assets/icons/icons8_multiply.svg" alt="">
+            </button>
+          </div>
+          <div class="modal-body">
+            <table class="table">
+              <tbody>
+                <tr>
+                  <td>Formato</td>
+                  <td>
+                    <select id="export-format">
+                      <option value="image/png">PNG</option>
+                      <option value="image/jpeg">JPEG</option>
+                      <option value="image/svg+xml">SVG</option>
+                    </select>
+                  </td>
+                </tr>
+                <tr>
+                  <td>Escala</td>
+                  <td>
+                    <select id="export-scale">
+                      <option value="1">1x</option>
+                      <option value="2">2x</option>
+                      <option value="4">4x</option>
+                    </select>
+                  </td>
+                </tr>
+                <tr>
+                  <td>Área</td>
+                  <td>
+                    <select id="export-area">
+                      <option value="canvas">Lienzo completo</option>
+                      <option value="drawing">Recortar al dibujo</option>
+                    </select>
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn abort">
+              Cancelar
+            </button>
+            <button type="button" class="btn confirm">
+              Exportar
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+
+    <!-- Hidden modal for size adjustments -->
+    <div id="size-modal" class="modal">
+      <div class="modal-dialog">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h4 class="modal-title">Modificar tamaños</h4>
+            <button type="button" class="close btn-close-modal-size abort" data-dismiss="modal">
+              <img src="./assets/icons/icons8_multiply.svg" alt="">
+            </button>
+          </div>
+          <div class="modal-body">
+            <table class="table" id="size-table">
+              <tbody>
+                <tr id="font-row" data-value="12pt">
+                  <td>Tamaño de fuente</td>
+                  <td>
+                    <a class="decrease">
+                      <i class="fas fa-minus"></i>
+                    </a>
+                  </td>
+                  <td class="value-data center">12pt</td>
+                  <td class="center">
+                    <a class="increase">
+                      <i class="fas fa-plus"></i>
+                    </a>
+                  </td>
+                </tr>
+                <tr id="eraser-row" data-value="20">
+                  <td>Ancho del borrador</td>
+                  <td>
+                    <a class="decrease">
+                      <i class="fas fa-minus"></i>
+                    </a>
+                  </td>
+                  <td class="value-data center">20</td>
+                  <td class="center">
+                    <a class="increase">
+                      <i class="fas fa-plus"></i>
+                    </a>
+                  </td>
+                </tr>
+                <tr id="tolerance-row" data-value="20">
+                  <td>Tolerancia del relleno</td>
+                  <td>
+                    <a class="decrease">
+                      <i class="fas fa-minus"></i>
+                    </a>
+                  </td>
+                  <td class="value-data center">20</td>
+                  <td class="center">
+                    <a class="increase">
+                      <i class="fas fa-plus"></i>
+                    </a>
+                  </td>
+                </tr>
+                <tr id="sides-row" data-value="5">
+                  <td>Lados del polígono regular</td>
+                  <td>
+                    <a class="decrease">
+                      <i class="fas fa-minus"></i>
+                    </a>
+                  </td>
+                  <td class="value-data center">5</td>
+                  <td class="center">
+                    <a class="increase">
+                      <i class="fas fa-plus"></i>
+                    </a>
+                  </td>
+                </tr>
+                <tr id="heads-row" data-start="none" data-end="triangle">
+                  <td>Puntas de flecha</td>
+                  <td colspan="3" class="center">
+                    <select id="start-head" title="Inicio">
+                      <option value="none">Sin punta</option>
+                      <option value="open">Abierta</option>
+                      <option value="triangle">Triángulo</option>
+                    </select>
+                    <select id="end-head" title="Fin">
+                      <option value="none">Sin punta</option>
+                      <option value="open">Abierta</option>
+                      <option value="triangle" selected>Triángulo</option>
+                    </select>
+                  </td>
+                </tr>
+                <tr id="width-row" data-value="1">
+                  <td>Ancho de linea</td>
+                  <td>
+                    <a class="decrease">
+                      <i class="fas fa-minus"></i>
+                    </a>
+                  </td>
+                  <td class="value-data center">1</td>
+                  <td class="center">
+                    <a class="increase">
+                      <i class="fas fa-plus"></i>
+                    </a>
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn btn-close-modal-size abort">
+              Cancelar
+            </button>
+            <button type="button" class="btn btn-close-modal-size confirm">
+              Aplicar
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+`;
+
+
+/**
+ * Function scope wrapper.
+ */
+(function () {
+    const paintme = document.getElementById('paintme');
+
+    paintme.innerHTML = htmlContent;
+
+    // region Drawer
+    /**
+     * An object that holds shapes and current settings
+     */
+    let drawer = {
+        // The layers of the drawing, the top most last
+        layers: [new Layer("Capa 1")],
+        // The layer new shapes are added to
+        activeLayer: null,
+        // Commands done to the shapes, which can be undone and redone
+        history: new History(50),
+        // The stored text being edited and its state before the edit
+        editedText: null,
+        // Where the caret of the text being typed is, and where its selection started
+        caret: { index: 0, anchor: 0 },
+        // Whether the blinking caret is showing
+        caretVisible: true,
+        // "box" while a new text is dragged open, "select" while characters are selected with the pointer
+        textGesture: null,
+        // Hidden text area receiving what is typed into texts, composed and pasted characters included
+        textInput: document.getElementById("text-input"),
+        // The characters being composed with an input method, as {start, length} in the text being typed
+        composition: null,
+        // The shape currently selected
+        selectedShape: "lineList",
+        // The last used colors, the latest first
+        recentColors: [].concat(loadPreference("recent-colors", []))
+            .map(normalizeColor)
+            .filter((color) => color !== null)
+            .slice(0, recentColorCount),
+        // The paper of the drawing, one of the keys of backgrounds
+        background: "transparent",
+        // Title and creation date of the drawing, kept in saved files
+        metadata: { title: "Sin título", created: new Date().toISOString() },
+        // Under which id the drawing is saved automatically
+        documentId: createDocumentId(),
+        // Where drawings are saved automatically
+        store: new DocumentStore("paintme", storedDocumentLimit),
+        // The part of the drawing shown on the canvas
+        viewport: new Viewport(),
+        // The size of the canvas on the page, in css pixels
+        size: { width: window.innerWidth, height: window.innerHeight },
+        // How many pixels of the canvas make one css pixel, more than one on HiDPI screens
+        pixelRatio: 1,
+        // Where the view is being dragged from, while panning
+        pan: null,
+        // Whether the space bar is held, so dragging pans the view
+        spaceHeld: false,
+        // The two fingers zooming and panning on a touch screen
+        pinch: null,
+        // Positions of the fingers on the canvas, by pointer id
+        touches: new Map(),
+        // Whether a pen is near the screen, so fingers are ignored
+        penActive: false,
+        // The id of the pointer drawing, panning or moving a shape
+        activePointer: null,
+        // Canvas DOM element
+        canvas: document.getElementById("canvas"),
+        // The context of the canvas
+        ctx: document.getElementById("canvas").getContext("2d"),
+        // The element currently being drawn
+        selectedElement: null,
+        // The shapes of every layer drawn as seen through the viewport
+        layerCaches: new WeakMap(),
+        // Counts how often all cached layers were outdated at once
+        cacheGeneration: 0,
+        // The view of the last frame, to notice it moving
+        lastView: null,
+        // Set while the view moves, runs out once it stays still
+        viewSettleTimeout: null,
+        // Whether the canvas is going to be redrawn on the next frame
+        framePending: false,
+        // A stored shape picked with the move tool
+        pickedShape: null,
+        // The ongoing move, resize or rotation of the picked shape
+        drag: null,
+        // Shapes crossed by the object eraser, removed once the mouse is released
+        erasedShapes: null,
+        // Last position of the object eraser
+        eraserPosition: null,
+        // Lines showing what the point being drawn snapped to, as {from, to}
+        guides: [],
+        // The shapes we can choose from
+        availableShapes: {
+            RECTANGLE: "rectangle",
+            OVAL: "oval",
+            CIRCLE: "circle",
+            LINE: "line",
+            ARROW: "arrow",
+            POLYLINE: "polyline",
+            POLYGON: "polygon",
+            REGULAR_POLYGON: "regularPolygon",
+            PEN: "pen",
+            LINE_LIST: "lineList",
+            ERASE_LIST: "eraseList",
+            OBJECT_ERASER: "objectEraser",
+            FLOOD_FILL: "floodFill",
+            EYEDROPPER: "eyedropper",
+            DrawnText: "text",
+            MOVE: "move",
+        },
+        // Settings for selectedElement
+        settings: {
+            color: "#000000",
+            filled: false,
+            width: 10,
+            font: "36pt sans-serif",
+            // How much new shapes cover what is below them, from 0 to 1
+            opacity: 1,
+            // The color of fills, null to fill with the color of the lines
+            fillColor: null,
+            // Whether filled shapes are outlined as well
+            stroked: false,
+            // "none" for plain fills, else one of gradientTypes going from the fill color to gradientColor
+            gradientType: "none",
+            gradientColor: "#ffffff",
+            // The direction of linear gradients, in radians
+            gradientAngle: 0,
+            // One of the keys of dashPatterns
+            dash: "solid",
+            // One of lineCaps and one of lineJoins
+            lineCap: "butt",
+            lineJoin: "miter",
+            // The brush of new strokes, one of the keys of brushes
+            brush: "pen",
+            // The options chosen for each brush, by the key of the brush
+            brushOptions: {},
+            // Whether freehand strokes close to a line, an arrow, a triangle, a rectangle,
+            // an oval or a circle are replaced by that shape
+            recognizeShapes: false,
+            // Whether points of new shapes snap to a grid, with the squares of the paper if it has any
+            snapToGrid: false,
+            gridSize: 20,
+            // Whether points of new shapes snap to the corners, centers and ends of other shapes
+            snapToShapes: false,
+            // Whether new lines snap to multiples of snapAngle, which Shift does as well
+            snapAngles: false,
+            // How new texts line up, one of textAlignments
+            align: "left",
+            eraserWidth: 20,
+            // How much colors may differ from the clicked one to be filled, in percent
+            fillTolerance: 20,
+            // How many sides regular polygons get
+            sides: 5,
+            // The heads of new arrows, each one of arrowHeads
+            startHead: "none",
+            endHead: "triangle",
+        },
+        /**
+         * Deep copy of settings.
+         *
+         * @returns {{color: string, filled: boolean, width: number, font: string, opacity: number,
+         *     fillColor: string, stroked: boolean, gradient: Object|null, dash: number[], lineCap: string, lineJoin: string}}
+         */
+        currentSettings: function () {
+            return Object.assign({
+                color: drawer.settings.color.slice(0, drawer.settings.color.length),
+                filled: drawer.settings.filled,
+                width: drawer.settings.width,
+                font: drawer.settings.font.slice(0, drawer.settings.font.length),
+                opacity: drawer.settings.opacity,
+            }, drawer.currentFill(), drawer.currentStroke());
+        },
+        /**
+         * The fill of new shapes, as settings of a shape.
+         *
+         * @returns {{fillColor: string, stroked: boolean, gradient: Object|null}}
+         */
+        currentFill: function () {
+            let settings = drawer.settings;
+            let fillColor = settings.fillColor || settings.color;
+            let gradient = null;
+            if (settings.gradientType !== "none") {
+                gradient = {
+                    type: settings.gradientType,
+                    angle: settings.gradientAngle,
+                    stops: [{ offset: 0, color: fillColor }, { offset: 1, color: settings.gradientColor }],
+                };
+            }
+            return { fillColor: fillColor, stroked: settings.stroked, gradient: gradient };
+        },
+        /**
+         * The style of the lines of new shapes, as settings of a shape.
+         *
+         * @returns {{dash: number[], lineCap: string, lineJoin: string}}
+         */
+        currentStroke: function () {
+            return {
+                dash: dashPatterns[drawer.settings.dash].slice(),
+                lineCap: drawer.settings.lineCap,
+                lineJoin: drawer.settings.lineJoin,
+            };
+        },
+        /**
+         * The brush of a new stroke, with a seed of its own.
+         *
+         * @returns {{type: string, options: Object, seed: number}}
+         */
+        currentBrush: function () {
+            let type = drawer.settings.brush;
+            return {
+                type: type,
+                options: brushOptions(type, drawer.settings.brushOptions[type]),
+                seed: Math.floor(Math.random() * 4294967296),
+            };
+        },
+        currentSettingsEraser: function () {
+            return {
+                color: drawer.settings.color.slice(0, drawer.settings.color.length),
+                filled: drawer.settings.filled,
+                width: drawer.settings.eraserWidth,
+                font: drawer.settings.font.slice(0, drawer.settings.font.length),
+                // Erasing half way is not possible
+                opacity: 1,
+            };
+        },
+
+        /**
+         * Mark the cached drawing of a layer as outdated, so its shapes are
+         * drawn again on the next frame.
+         *
+         * @param layer The changed layer, all layers if not given
+         */
+        invalidate: function (layer) {
+            if (!layer) {
+                drawer.cacheGeneration++;
+                return;
+            }
+            let cache = drawer.layerCaches.get(layer);
+            if (cache) {
+                cache.content = null;
+            }
+        },
+        /**
+         * Notice the view moving. While it does, the cached layers are only
+         * moved and scaled along, they are drawn again once it stays still.
+         */
+        watchView: function () {
+            let viewport = drawer.viewport;
+            let view = [viewport.x, viewport.y, viewport.scale].join();
+            if (view === drawer.lastView) {
+                return;
+            }
+            let first = drawer.lastView === null;
+            drawer.lastView = view;
+            if (first) {
+                return;
+            }
+            clearTimeout(drawer.viewSettleTimeout);
+            drawer.viewSettleTimeout = setTimeout(function () {
+                drawer.viewSettleTimeout = null;
+                drawer.redraw();
+            }, viewSettleDelay);
+        },
+        /**
+         * Get the shapes of a layer drawn on a canvas as big as the view.
+         * They are only drawn again when the layer changed, the canvas was
+         * resized, another shape is left out or the view moved and settled.
+         *
+         * @param layer The layer to draw
+         * @param left A shape of the layer to leave out, e.g. because it is drawn on top, or null
+         * @returns {{ctx: CanvasRenderingContext2D, view: Object}} The cache, its canvas shows
+         * the layer as seen through the view {x, y, scale}
+         */
+        cachedLayer: function (layer, left) {
+            let viewport = drawer.viewport;
+            let width = drawer.canvas.width;
+            let height = drawer.canvas.height;
+            let content = [drawer.cacheGeneration, drawer.pixelRatio, width, height].join();
+            let cache = drawer.layerCaches.get(layer);
+            if (!cache) {
+                cache = { ctx: document.createElement("canvas").getContext("2d"), content: null, view: null, left: null };
+                drawer.layerCaches.set(layer, cache);
+            }
+            let view = cache.view;
+            let moved = !view || view.x !== viewport.x || view.y !== viewport.y || view.scale !== viewport.scale;
+            if (cache.content === content && cache.left === left && (!moved || drawer.viewSettleTimeout !== null)) {
+                return cache;
+            }
+            let ctx = cache.ctx;
+            if (ctx.canvas.width !== width || ctx.canvas.height !== height) {
+                ctx.canvas.width = width;
+                ctx.canvas.height = height;
+            }
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, width, height);
+            viewport.apply(ctx, drawer.pixelRatio);
+            let erased = drawer.erasedShapes || [];
+            renderShapes(ctx, layer.shapes.filter((shape) => shape !== left && !erased.includes(shape)));
+            cache.content = content;
+            cache.view = { x: viewport.x, y: viewport.y, scale: viewport.scale };
+            cache.left = left;
+            return cache;
+        },
+        /**
+         * Draw all stored shapes layer by layer from their cached drawings.
+         * The selected shape is drawn in its current state on a copy of the
+         * active layer, so erasing only affects that layer even before the
+         * stroke is stored.
+         */
+        drawAllStoredShapes: function () {
+            drawer.watchView();
+            // Shapes changing in place, i.e. dragged shapes and stored texts being edited,
+            // are left out of the cached drawing of their layer and drawn on top of it
+            let changing = drawer.drag ? drawer.pickedShape : (drawer.editedText && drawer.selectedElement);
+            let changingLayer = changing ? drawer.layerOf(changing) : null;
+            let viewport = drawer.viewport;
+            let pixelRatio = drawer.pixelRatio;
+            let ctx = drawer.ctx;
+            let width = drawer.canvas.width;
+            let height = drawer.canvas.height;
+            ctx.save();
+            drawer.layers.forEach(function (layer) {
+                if (!layer.visible) {
+                    return;
+                }
+                let cache = drawer.cachedLayer(layer, layer === changingLayer ? changing : null);
+                let image = cache.ctx.canvas;
+                // A cached drawing of another view is moved and scaled to the current one
+                let k = viewport.scale / cache.view.scale;
+                let transform = [
+                    k, 0, 0, k, (viewport.x - cache.view.x * k) * pixelRatio, (viewport.y - cache.view.y * k) * pixelRatio,
+                ];
+                let above = [];
+                if (layer === changingLayer) {
+                    above.push(changing);
+                }
+                // A stored text being edited is already drawn as a changing shape
+                if (layer === drawer.activeLayer && drawer.selectedElement && !drawer.editedText) {
+                    above.push(drawer.selectedElement);
+                }
+                if (above.length > 0) {
+                    if (layerContext.canvas.width !== width || layerContext.canvas.height !== height) {
+                        layerContext.canvas.width = width;
+                        layerContext.canvas.height = height;
+                    }
+                    layerContext.setTransform(1, 0, 0, 1, 0, 0);
+                    layerContext.clearRect(0, 0, width, height);
+                    layerContext.setTransform(...transform);
+                    layerContext.drawImage(image, 0, 0);
+                    viewport.apply(layerContext, pixelRatio);
+                    renderShapes(layerContext, above);
+                    image = layerContext.canvas;
+                    transform = [1, 0, 0, 1, 0, 0];
+                }
+                ctx.setTransform(...transform);
+                ctx.globalAlpha = layer.opacity;
+                ctx.drawImage(image, 0, 0);
+            });
+            ctx.restore();
+        },
+        /**
+         * Draw a dashed box around the picked shape, along with
+         * its handles for resizing and rotating.
+         */
+        drawPicked: function () {
+            if (!drawer.pickedShape) {
+                return;
+            }
+            let viewport = drawer.viewport;
+            // The box and handles keep their size on screen at any zoom
+            let handles = drawer.handlesOf(drawer.pickedShape).map(function (handle) {
+                return Object.assign({}, handle, viewport.toScreen(handle));
+            });
+            let ctx = drawer.ctx;
+            ctx.save();
+            ctx.setTransform(drawer.pixelRatio, 0, 0, drawer.pixelRatio, 0, 0);
+            ctx.globalCompositeOperation = "source-over";
+            ctx.strokeStyle = "#096bff";
+            ctx.fillStyle = "#ffffff";
+            ctx.lineWidth = 1;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            // Corners come first, in clockwise order
+            for (let i = 0; i < 4; i++) {
+                ctx.lineTo(handles[i].x, handles[i].y);
+            }
+            ctx.closePath();
+            ctx.stroke();
+            ctx.setLineDash([]);
+            // The rotation handle and the handles of bezier anchors hang from a line
+            handles.filter((handle) => handle.type === "rotate" || handle.type === "control").forEach(function (handle) {
+                let anchor = viewport.toScreen(handle.anchor);
+                ctx.beginPath();
+                ctx.moveTo(anchor.x, anchor.y);
+                ctx.lineTo(handle.x, handle.y);
+                ctx.stroke();
+            });
+            for (let i = 0; i < handles.length; i++) {
+                ctx.beginPath();
+                if (handles[i].type === "rotate") {
+                    ctx.arc(handles[i].x, handles[i].y, 5, 0, 2 * Math.PI);
+                } else if (handles[i].type === "control") {
+                    ctx.arc(handles[i].x, handles[i].y, 3, 0, 2 * Math.PI);
+                } else if (handles[i].type === "anchor") {
+                    ctx.rect(handles[i].x - 3, handles[i].y - 3, 6, 6);
+                } else {
+                    ctx.rect(handles[i].x - 4, handles[i].y - 4, 8, 8);
+                }
+                ctx.fill();
+                ctx.stroke();
+            }
+            ctx.restore();
+        },
+        /**
+         * Draw the guides of the latest snap, with a cross at both ends of each.
+         */
+        drawGuides: function () {
+            if (drawer.guides.length === 0) {
+                return;
+            }
+            let viewport = drawer.viewport;
+            let ctx = drawer.ctx;
+            ctx.save();
+            // Guides keep their size on screen at any zoom
+            ctx.setTransform(drawer.pixelRatio, 0, 0, drawer.pixelRatio, 0, 0);
+            ctx.globalCompositeOperation = "source-over";
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = "#e0218a";
+            ctx.lineWidth = 1;
+            drawer.guides.forEach(function (guide) {
+                let from = viewport.toScreen(guide.from);
+                let to = viewport.toScreen(guide.to);
+                ctx.setLineDash([4, 3]);
+                ctx.beginPath();
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.beginPath();
+                [from, to].forEach(function (end) {
+                    ctx.moveTo(end.x - 4, end.y - 4);
+                    ctx.lineTo(end.x + 4, end.y + 4);
+                    ctx.moveTo(end.x - 4, end.y + 4);
+                    ctx.lineTo(end.x + 4, end.y - 4);
+                });
+                ctx.stroke();
+            });
+            ctx.restore();
+        },
+        /**
+         * Positions of the handles of a shape on the canvas. The four corners
+         * come first, then the four edges and then the rotation handle.
+         * Bezier paths end with the handles of their curves, as
+         * {type: "control", index, side, x, y, anchor}, and their anchors,
+         * as {type: "anchor", index, x, y}.
+         *
+         * @param shape A stored shape
+         * @returns {Array} Handles as {type, hx, hy, x, y}, where hx and hy
+         * tell which side of the shape the handle sits on (-1, 0 or 1)
+         */
+        handlesOf: function (shape) {
+            let o = shape.getOutline();
+            let c = shape.getCenter();
+            let sides = [[-1, -1], [1, -1], [1, 1], [-1, 1], [0, -1], [1, 0], [0, 1], [-1, 0]];
+            let handles = sides.map(function (side) {
+                let p = shape.toWorld({ x: c.x + side[0] * o.width / 2, y: c.y + side[1] * o.height / 2 });
+                return { type: "scale", hx: side[0], hy: side[1], x: p.x, y: p.y };
+            });
+            // The rotation handle sticks out of the top edge, by the same distance at any zoom
+            let top = handles[4];
+            let angle = shape.transform.rotation;
+            let distance = 24 / drawer.viewport.scale;
+            handles.push({
+                type: "rotate",
+                x: top.x + distance * Math.sin(angle),
+                y: top.y - distance * Math.cos(angle),
+                anchor: { x: top.x, y: top.y },
+            });
+            if (shape instanceof BezierPath) {
+                // Handles lying on their anchor are left out, so the anchor can still be picked
+                shape.anchors.forEach(function (a, i) {
+                    ["in", "out"].forEach(function (side) {
+                        if (a[side + "X"] !== 0 || a[side + "Y"] !== 0) {
+                            let p = shape.toWorld(shape.handlePoint(i, side));
+                            handles.push({ type: "control", index: i, side: side, x: p.x, y: p.y, anchor: shape.toWorld(shape.anchorPoint(i)) });
+                        }
+                    });
+                });
+                shape.anchors.forEach(function (a, i) {
+                    let p = shape.toWorld(shape.anchorPoint(i));
+                    handles.push({ type: "anchor", index: i, x: p.x, y: p.y });
+                });
+            }
+            return handles;
+        },
+        /**
+         * Find the handle of the picked shape at a point.
+         *
+         * @param point A 2d position in the drawing
+         * @returns {Object|null} The handle found, if any
+         */
+        handleAt: function (point) {
+            if (!drawer.pickedShape) {
+                return null;
+            }
+            let handles = drawer.handlesOf(drawer.pickedShape);
+            for (let i = handles.length - 1; i >= 0; i--) {
+                if (Math.hypot(point.x - handles[i].x, point.y - handles[i].y) <= 8 / drawer.viewport.scale) {
+                    return handles[i];
+                }
+            }
+            return null;
+        },
+        /**
+         * Find the top most stored shape at a point. Shapes of hidden
+         * or locked layers can not be found.
+         *
+         * @param point A 2d position in the drawing
+         * @returns {Shape|null} The shape found, if any
+         */
+        shapeAt: function (point) {
+            for (let i = drawer.layers.length - 1; i >= 0; i--) {
+                let layer = drawer.layers[i];
+                if (!layer.isEditable()) {
+                    continue;
+                }
+                for (let j = layer.shapes.length - 1; j >= 0; j--) {
+                    if (layer.shapes[j] && layer.shapes[j].contains(point, 4 / drawer.viewport.scale)) {
+                        return layer.shapes[j];
+                    }
+                }
+            }
+            return null;
+        },
+        /**
+         * Find the layer holding a stored shape.
+         *
+         * @param shape A shape
+         * @returns {Layer|undefined} The layer, unless the shape is not stored
+         */
+        layerOf: function (shape) {
+            return drawer.layers.find((layer) => layer.shapes.includes(shape));
+        },
+        /**
+         * Every stored shape of all visible layers, from the bottom up.
+         *
+         * @returns {Shape[]}
+         */
+        visibleShapes: function () {
+            return [].concat(...drawer.layers.filter((layer) => layer.visible).map((layer) => layer.shapes));
+        },
+        /**
+         * Start moving, resizing or rotating a shape, depending on
+         * whether a handle of the picked shape or a shape is at the point.
+         *
+         * @param point A 2d position
+         */
+        startDrag: function (point) {
+            let handle = drawer.handleAt(point);
+            if (!handle) {
+                drawer.pickedShape = drawer.shapeAt(point);
+            }
+            if (!drawer.pickedShape) {
+                return;
+            }
+            let shape = drawer.pickedShape;
+            let c = shape.getCenter();
+            drawer.drag = {
+                handle: handle,
+                pointer: point,
+                before: shape.snapshot(),
+                position: { x: shape.position.x, y: shape.position.y },
+                rotation: shape.transform.rotation,
+                angle: Math.atan2(point.y - c.y, point.x - c.x),
+            };
+        },
+        /**
+         * Continue the manipulation started by startDrag().
+         *
+         * @param point A 2d position
+         * @param constrain Keep proportions and snap angles, e.g. while shift is held
+         */
+        dragTo: function (point, constrain) {
+            let drag = drawer.drag;
+            let shape = drawer.pickedShape;
+            let t = shape.transform;
+            if (!drag.handle) {
+                // Move relative to where the shape was picked up
+                shape.move({
+                    x: drag.position.x + point.x - drag.pointer.x,
+                    y: drag.position.y + point.y - drag.pointer.y,
+                });
+            } else if (drag.handle.type === "rotate") {
+                let c = shape.getCenter();
+                let rotation = drag.rotation + Math.atan2(point.y - c.y, point.x - c.x) - drag.angle;
+                if (constrain) {
+                    let step = Math.PI / 12;
+                    rotation = Math.round(rotation / step) * step;
+                }
+                t.rotation = rotation;
+            } else if (drag.handle.type === "anchor" || drag.handle.type === "control") {
+                let index = drag.handle.index;
+                let p = shape.toLocal(point);
+                // The center moves along with the path, so another anchor is kept where it is
+                let kept = index === 0 ? 1 : 0;
+                let fixed = shape.toWorld(shape.anchorPoint(kept));
+                if (drag.handle.type === "anchor") {
+                    shape.moveAnchor(index, p.x, p.y);
+                } else {
+                    shape.moveHandle(index, drag.handle.side, p.x, p.y);
+                }
+                let moved = shape.toWorld(shape.anchorPoint(kept));
+                shape.move({
+                    x: shape.position.x + fixed.x - moved.x,
+                    y: shape.position.y + fixed.y - moved.y,
+                });
+            } else {
+                let hx = drag.handle.hx;
+                let hy = drag.handle.hy;
+                let o = shape.getOutline();
+                let c = shape.getCenter();
+                // The opposite handle stays where it is
+                let anchor = { x: c.x - hx * o.width / 2, y: c.y - hy * o.height / 2 };
+                let fixed = shape.toWorld(anchor);
+                let cos = Math.cos(-t.rotation);
+                let sin = Math.sin(-t.rotation);
+                let dx = point.x - fixed.x;
+                let dy = point.y - fixed.y;
+                let scaleX = hx ? (dx * cos - dy * sin) * hx / o.width : t.scaleX;
+                let scaleY = hy ? (dx * sin + dy * cos) * hy / o.height : t.scaleY;
+                if (constrain && hx && hy) {
+                    let scale = Math.max(Math.abs(scaleX), Math.abs(scaleY));
+                    scaleX = Math.sign(scaleX || 1) * scale;
+                    scaleY = Math.sign(scaleY || 1) * scale;
+                }
+                // Shapes can be mirrored, but never flattened entirely
+                t.scaleX = Math.sign(scaleX || 1) * Math.max(Math.abs(scaleX), 0.05);
+                t.scaleY = Math.sign(scaleY || 1) * Math.max(Math.abs(scaleY), 0.05);
+                let moved = shape.toWorld(anchor);
+                shape.move({
+                    x: shape.position.x + fixed.x - moved.x,
+                    y: shape.position.y + fixed.y - moved.y,
+                });
+            }
+        },
+        /**
+         * Finish the manipulation of the picked shape, recording
+         * it so it can be undone.
+         */
+        endDrag: function () {
+            let shape = drawer.pickedShape;
+            let before = drawer.drag.before;
+            let after = shape.snapshot();
+            let label = "Mover ";
+            if (drawer.drag.handle) {
+                label = {
+                    rotate: "Girar ",
+                    scale: "Redimensionar ",
+                    anchor: "Editar ",
+                    control: "Editar ",
+                }[drawer.drag.handle.type];
+            }
+            drawer.drag = null;
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                drawer.history.execute(
+                    new ChangeShapeCommand(shape, before, after, label + shapeNames[shape.constructor.name])
+                );
+            }
+        },
+        /**
+         * Fill the area around a point which has about its color, as the
+         * visible layers show it. The fill stops at the edges of the view
+         * and has a cell for every css pixel at the current zoom.
+         *
+         * @param point A 2d position in the drawing
+         * @returns {FloodFill|null} The fill, if the point is in view
+         */
+        fillAt: function (point) {
+            let width = drawer.size.width;
+            let height = drawer.size.height;
+            let screen = drawer.viewport.toScreen(point);
+            let x = Math.floor(screen.x);
+            let y = Math.floor(screen.y);
+            if (x < 0 || y < 0 || x >= width || y >= height) {
+                return null;
+            }
+            let ctx = document.createElement("canvas").getContext("2d");
+            ctx.canvas.width = width;
+            ctx.canvas.height = height;
+            drawer.viewport.apply(ctx, 1);
+            renderLayers(ctx, drawer.layers);
+            let tolerance = Math.round(drawer.settings.fillTolerance * 255 / 100);
+            let spans = floodFillSpans(ctx.getImageData(0, 0, width, height), x, y, tolerance);
+            // Runs are counted from the top left of the fill instead of the view
+            let top = spans[0];
+            let left = Infinity;
+            for (let i = 0; i < spans.length; i += 3) {
+                left = Math.min(left, spans[i + 1]);
+            }
+            for (let i = 0; i < spans.length; i += 3) {
+                spans[i] -= top;
+                spans[i + 1] -= left;
+            }
+            let settings = drawer.currentSettings();
+            settings.filled = true;
+            // The area has no outline
+            settings.stroked = false;
+            return new FloodFill(drawer.viewport.toWorld({ x: left, y: top }), settings, 1 / drawer.viewport.scale, spans);
+        },
+        /**
+         * Mark every shape crossed by the object eraser on its way
+         * from one point to another.
+         *
+         * @param from The previous position of the eraser
+         * @param to The current position of the eraser
+         */
+        eraseObjects: function (from, to) {
+            let radius = drawer.settings.eraserWidth / 2;
+            // Check in steps of the eraser radius so fast moves skip nothing
+            let steps = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / radius));
+            for (let step = 0; step <= steps; step++) {
+                let point = {
+                    x: from.x + (to.x - from.x) * step / steps,
+                    y: from.y + (to.y - from.y) * step / steps,
+                };
+                drawer.layers.filter((layer) => layer.isEditable()).forEach(function (layer) {
+                    layer.shapes.forEach(function (shape) {
+                        if (!drawer.erasedShapes.includes(shape) && shape.contains(point, radius)) {
+                            drawer.erasedShapes.push(shape);
+                            drawer.invalidate(layer);
+                        }
+                    });
+                });
+            }
+        },
+        /**
+         * Use a color for new shapes and the picked one, and
+         * remember it as the latest of the recent colors.
+         *
+         * @param color A #rrggbb color
+         */
+        useColor: function (color) {
+            drawer.settings.color = color;
+            drawer.recentColors = [color].concat(drawer.recentColors.filter((recent) => recent !== color))
+                .slice(0, recentColorCount);
+            savePreference("recent-colors", drawer.recentColors);
+            // Fills without a color of their own follow the one of the lines,
+            // if the fill of the picked shape did so too. Its gradient stays.
+            let changes = { color: color };
+            let shape = drawer.pickedShape;
+            if (drawer.settings.fillColor === null && shape &&
+                (!shape.settings.fillColor || shape.settings.fillColor === shape.settings.color)) {
+                changes.fillColor = color;
+            }
+            drawer.restylePicked(changes);
+        },
+        /**
+         * The color under a point: the one of the shape found there or else,
+         * and if asked to, the one shown on the canvas.
+         *
+         * @param point A position in the drawing
+         * @param shown Whether to take the color shown on the canvas, even over a shape
+         * @returns {string|null} A #rrggbb color, null outside the canvas
+         */
+        colorAt: function (point, shown) {
+            let shape = shown ? null : drawer.shapeAt(point);
+            let color = null;
+            if (shape && !(shape instanceof EraseList)) {
+                // Filled shapes mostly show their fill, gradients the color they start with
+                let settings = shape.settings;
+                let paint = !settings.filled ? settings.color :
+                    settings.gradient ? settings.gradient.stops[0].color : settings.fillColor || settings.color;
+                color = normalizeColor(paint);
+            }
+            if (color) {
+                return color;
+            }
+            let screen = drawer.viewport.toScreen(point);
+            let x = Math.floor(screen.x * drawer.pixelRatio);
+            let y = Math.floor(screen.y * drawer.pixelRatio);
+            if (x < 0 || y < 0 || x >= drawer.canvas.width || y >= drawer.canvas.height) {
+                return null;
+            }
+            let pixel = drawer.ctx.getImageData(x, y, 1, 1).data;
+            // The paper shows through where the drawing is see-through
+            let paper = colorChannels(backgrounds[drawer.background].color || "#ffffff");
+            let alpha = pixel[3] / 255;
+            return channelsToColor(paper.map((channel, i) => pixel[i] * alpha + channel * (1 - alpha)));
+        },
+        /**
+         * Apply new settings to the picked shape, if any.
+         *
+         * @param changes Settings to overwrite, e.g. {color: "#ff0000"}
+         */
+        restylePicked: function (changes) {
+            let shape = drawer.pickedShape;
+            if (!shape) {
+                return;
+            }
+            let before = shape.snapshot();
+            Object.assign(shape.settings, changes);
+            let after = shape.snapshot();
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                drawer.history.execute(
+                    new ChangeShapeCommand(shape, before, after, "Cambiar estilo de " + shapeNames[shape.constructor.name])
+                );
+                drawer.redraw();
+            }
+        },
+        /**
+         * Delete the picked shape, if any.
+         */
+        deletePicked: function () {
+            if (drawer.pickedShape) {
+                drawer.history.execute(new DeleteShapesCommand(drawer.layers, [drawer.pickedShape]));
+                drawer.pickedShape = null;
+                drawer.drag = null;
+                drawer.redraw();
+            }
+        },
+        /**
+         * Fit the canvas to the window, with a pixel of the canvas for every
+         * pixel of the screen, so shapes stay sharp on HiDPI screens. The
+         * canvas is only resized when needed, as that wipes it.
+         */
+        resize: function () {
+            let ratio = window.devicePixelRatio || 1;
+            let width = Math.round(window.innerWidth * ratio);
+            let height = Math.round(window.innerHeight * ratio);
+            drawer.pixelRatio = ratio;
+            drawer.size = { width: window.innerWidth, height: window.innerHeight };
+            if (drawer.canvas.width !== width || drawer.canvas.height !== height) {
+                drawer.canvas.width = width;
+                drawer.canvas.height = height;
+            }
+        },
+        /**
+         * Redraw the canvas on the next frame, so many changes between two
+         * frames are drawn only once.
+         */
+        redraw: function () {
+            if (drawer.framePending) {
+                return;
+            }
+            drawer.framePending = true;
+            requestAnimationFrame(function () {
+                drawer.framePending = false;
+                drawer.drawFrame();
+            });
+        },
+        /**
+         * Redraws all elements to the canvas, as seen through the viewport.
+         */
+        drawFrame: function () {
+            // Wipe everything off the canvas
+            drawer.resize();
+            width = canvas.width;
+            height = canvas.height;
+            drawer.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            drawer.ctx.clearRect(0, 0, drawer.canvas.width, drawer.canvas.height);
+            drawer.movePaper();
+            drawer.viewport.apply(drawer.ctx, drawer.pixelRatio);
+            drawer.drawAllStoredShapes();
+            drawer.drawCaret();
+            drawer.drawPicked();
+            drawer.drawGuides();
+        },
+        /**
+         * Draw the caret and the selection of the text being typed,
+         * along with the box it wraps in, and move the hidden text
+         * area to the caret.
+         */
+        drawCaret: function () {
+            let text = drawer.selectedElement;
+            if (!(text instanceof DrawnText)) {
+                return;
+            }
+            let layout = text.layout();
+            let range = drawer.selectionRange();
+            let scale = drawer.viewport.scale;
+            let ctx = drawer.ctx;
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            drawer.viewport.apply(ctx, drawer.pixelRatio);
+            text.applyTransform(ctx);
+            ctx.globalCompositeOperation = "source-over";
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = "#096bff";
+            ctx.fillStyle = "rgba(9, 107, 255, 0.25)";
+            ctx.lineWidth = 1 / scale;
+            if (text.boxWidth > 0) {
+                let b = text.getBounds();
+                ctx.setLineDash([4 / scale, 4 / scale]);
+                ctx.strokeRect(b.x, b.y, b.width, b.height);
+                ctx.setLineDash([]);
+            }
+            layout.lines.forEach(function (line) {
+                let start = Math.max(range[0], line.start);
+                let end = Math.min(range[1], line.end);
+                if (start < end) {
+                    let left = text.lineX(line, start);
+                    ctx.fillRect(left, line.y - layout.ascent, text.lineX(line, end) - left, layout.ascent + layout.descent);
+                }
+            });
+            let caret = text.caretPoint(drawer.caret.index);
+            if (drawer.caretVisible && range[0] === range[1]) {
+                ctx.beginPath();
+                ctx.moveTo(caret.x, caret.y - layout.ascent);
+                ctx.lineTo(caret.x, caret.y + layout.descent);
+                ctx.stroke();
+            }
+            ctx.restore();
+            // Input methods show what is being composed next to the hidden text area
+            let top = drawer.viewport.toScreen(text.toWorld({ x: caret.x, y: caret.y - layout.ascent }));
+            let style = drawer.textInput.style;
+            style.left = top.x + "px";
+            style.top = top.y + "px";
+            style.height = (layout.ascent + layout.descent) * scale + "px";
+        },
+        /**
+         * Move and scale the css background of the canvas along with the
+         * drawing, so the lines of the paper stay where they are drawn.
+         */
+        movePaper: function () {
+            let paper = backgrounds[drawer.background];
+            let style = drawer.canvas.style;
+            if (!paper.image) {
+                style.backgroundSize = "";
+                style.backgroundPosition = "";
+                return;
+            }
+            let viewport = drawer.viewport;
+            style.backgroundSize = paper.tileWidth * viewport.scale + "px " + paper.tileHeight * viewport.scale + "px";
+            style.backgroundPosition = viewport.x + "px " + viewport.y + "px";
+        },
+        /**
+         * Convert the position of a mouse event to the drawing.
+         *
+         * @param mouseEvent A mouse event on the canvas
+         * @returns {{x: number, y: number}}
+         */
+        pointerPosition: function (mouseEvent) {
+            return drawer.viewport.toWorld({ x: mouseEvent.offsetX, y: mouseEvent.offsetY });
+        },
+        /**
+         * The distance between two lines of the grid points snap to.
+         *
+         * @returns {number} The size of the squares of the paper, else the chosen size
+         */
+        gridSpacing: function () {
+            return backgrounds[drawer.background].gridSize || drawer.settings.gridSize;
+        },
+        /**
+         * Snap a point of a shape being drawn as far as snapping is turned on, and
+         * keep the guides showing what it snapped to. Points close to other shapes
+         * snap to them, otherwise they snap to the grid.
+         *
+         * @param point A position in the drawing
+         * @param start The point a line being drawn starts at, null for other points
+         * @param constrain Whether lines snap to their angle even if angle snapping is off
+         * @returns {{x: number, y: number}} The snapped point
+         */
+        snapPosition: function (point, start, constrain) {
+            let settings = drawer.settings;
+            drawer.guides = [];
+            if (start && (constrain || settings.snapAngles)) {
+                let end = snapLineAngle(start, point);
+                drawer.guides.push({ from: start, to: end });
+                return end;
+            }
+            let snap = { point: { x: point.x, y: point.y }, snappedX: false, snappedY: false, guides: [] };
+            if (settings.snapToShapes) {
+                let targets = [];
+                drawer.layers.filter((layer) => layer.visible).forEach(function (layer) {
+                    layer.shapes.filter((shape) => shape !== drawer.selectedElement).forEach(function (shape) {
+                        targets = targets.concat(shape.getSnapPoints());
+                    });
+                });
+                snap = snapToPoints(point, targets, snapDistance / drawer.viewport.scale);
+            }
+            if (settings.snapToGrid) {
+                let spacing = drawer.gridSpacing();
+                if (!snap.snappedX) {
+                    snap.point.x = Math.round(point.x / spacing) * spacing;
+                }
+                if (!snap.snappedY) {
+                    snap.point.y = Math.round(point.y / spacing) * spacing;
+                }
+            }
+            drawer.guides = snap.guides;
+            return snap.point;
+        },
+        /**
+         * Snap the point a shape being drawn follows. Lines and the segments of
+         * polylines snap to their angle from the point before, and constraining
+         * makes rectangles square and ovals round.
+         *
+         * @param shape The shape being drawn
+         * @param point A position in the drawing
+         * @param constrain Whether Shift is held
+         * @returns {{x: number, y: number}} The snapped point
+         */
+        drawingPosition: function (shape, point, constrain) {
+            if (shape instanceof Line) {
+                return drawer.snapPosition(point, shape.position, constrain);
+            }
+            if (shape instanceof Polyline) {
+                // The last point follows the pointer
+                let n = shape.xList.length;
+                let previous = n < 2 ? shape.position : { x: shape.xList[n - 2], y: shape.yList[n - 2] };
+                return drawer.snapPosition(point, previous, constrain);
+            }
+            let snapped = drawer.snapPosition(point, null, false);
+            if (constrain && (shape instanceof Rectangle || (shape instanceof Oval && !(shape instanceof Circle)))) {
+                let dx = snapped.x - shape.position.x;
+                let dy = snapped.y - shape.position.y;
+                let size = Math.max(Math.abs(dx), Math.abs(dy));
+                snapped = { x: shape.position.x + (dx < 0 ? -size : size), y: shape.position.y + (dy < 0 ? -size : size) };
+                // The corner moved off what it snapped to
+                drawer.guides = [];
+            }
+            return snapped;
+        },
+        /**
+         * Drop whatever the mouse or a finger was doing, e.g. when a
+         * second finger turns a stroke into a pinch.
+         */
+        cancelGesture: function () {
+            // Texts and the placed points of polylines and paths outlast a single gesture
+            if (drawer.selectedElement && !(drawer.selectedElement instanceof DrawnText || drawer.isPlacingPoints())) {
+                drawer.selectedElement = null;
+            }
+            if (drawer.drag) {
+                drawer.pickedShape.restore(drawer.drag.before);
+                drawer.drag = null;
+            }
+            drawer.erasedShapes = null;
+            drawer.eraserPosition = null;
+            drawer.textGesture = null;
+            drawer.guides = [];
+            drawer.invalidate();
+        },
+        /**
+         * Change the paper of the drawing.
+         *
+         * @param name One of the keys of backgrounds, unknown ones are ignored
+         */
+        setBackground: function (name) {
+            if (!backgrounds.hasOwnProperty(name)) {
+                return;
+            }
+            let changed = name !== drawer.background;
+            drawer.canvas.classList.remove(drawer.background);
+            drawer.canvas.classList.add(name);
+            drawer.background = name;
+            drawer.movePaper();
+            if (changed) {
+                drawer.canvas.dispatchEvent(new Event("background-change"));
+            }
+            document.querySelectorAll("#bg-modal .button-card-option").forEach(function (option) {
+                option.classList.toggle("active", option.dataset.background === name);
+            });
+        },
+        /**
+         * Add a finished shape to the active layer. Freehand strokes are
+         * thinned out first, dropping points closer than 2 pixels on screen.
+         * If shapes are recognized, a stroke close to one is replaced by it
+         * right after, so undoing the replacement brings the stroke back.
+         *
+         * @param shape The shape to store
+         */
+        storeShape: function (shape) {
+            if (shape) {
+                if (shape instanceof LineList || shape instanceof EraseList) {
+                    shape.simplify(2 / drawer.viewport.scale);
+                }
+                drawer.history.execute(new AddShapeCommand(drawer.activeLayer.shapes, shape));
+                let recognized = shape instanceof LineList && drawer.settings.recognizeShapes ? recognizeStroke(shape) : null;
+                if (recognized) {
+                    drawer.history.execute(new ReplaceShapeCommand(
+                        drawer.activeLayer.shapes,
+                        shape,
+                        recognized,
+                        "Reconocer " + shapeNames[recognized.constructor.name]
+                    ));
+                }
+            }
+        },
+        /**
+         * Stop drawing text. A new text is stored unless it is empty,
+         * while an edit of a stored text is recorded as such.
+         */
+        finishText: function () {
+            let text = drawer.selectedElement;
+            if (!(text instanceof DrawnText)) {
+                return;
+            }
+            drawer.selectedElement = null;
+            drawer.textGesture = null;
+            // Characters still being composed are kept as they are
+            drawer.composition = null;
+            drawer.textInput.value = "";
+            drawer.textInput.blur();
+            if (drawer.editedText) {
+                let before = drawer.editedText.before;
+                let after = text.snapshot();
+                drawer.editedText = null;
+                if (JSON.stringify(before) !== JSON.stringify(after)) {
+                    drawer.history.execute(new ChangeShapeCommand(text, before, after, "Editar texto"));
+                }
+            } else if (text.chars.length > 0) {
+                drawer.storeShape(text);
+            }
+        },
+        /**
+         * Start typing in a text, a new one or a stored one.
+         *
+         * @param text The text
+         * @param index Where the caret goes, see moveCaret()
+         */
+        editText: function (text, index) {
+            if (drawer.layerOf(text)) {
+                drawer.editedText = { before: text.snapshot() };
+            }
+            drawer.selectedElement = text;
+            drawer.caret = { index: index, anchor: index };
+            drawer.caretVisible = true;
+            drawer.focusTextInput();
+            drawer.redraw();
+        },
+        /**
+         * Let the hidden text area take the keyboard, so
+         * what is typed goes into the text being typed.
+         */
+        focusTextInput: function () {
+            if (drawer.selectedElement instanceof DrawnText) {
+                drawer.textInput.focus({ preventScroll: true });
+            }
+        },
+        /**
+         * Show the characters being composed with an input method,
+         * in place of the ones composed before.
+         *
+         * @param value The characters composed so far
+         */
+        compose: function (value) {
+            let text = drawer.selectedElement;
+            if (!drawer.composition) {
+                let range = drawer.selectionRange();
+                text.remove(range[0], range[1]);
+                drawer.composition = { start: range[0], length: 0 };
+            }
+            let composition = drawer.composition;
+            text.remove(composition.start, composition.start + composition.length);
+            composition.length = text.insert(composition.start, value);
+            drawer.moveCaret(composition.start + composition.length, false);
+        },
+        /**
+         * Keep the composed characters for good.
+         *
+         * @param value The characters the composition ended with
+         */
+        endComposition: function (value) {
+            drawer.compose(value);
+            drawer.composition = null;
+        },
+        /**
+         * Put the caret of the text being typed between two characters.
+         *
+         * @param index The character after the caret, 0 to put it before all of them
+         * @param extend Keep where the selection started, e.g. while shift is held
+         */
+        moveCaret: function (index, extend) {
+            let caret = drawer.caret;
+            caret.index = Math.max(0, Math.min(index, drawer.selectedElement.chars.length));
+            if (!extend) {
+                caret.anchor = caret.index;
+            }
+            // The caret shows right away whenever it moves
+            drawer.caretVisible = true;
+            drawer.redraw();
+        },
+        /**
+         * The selected characters of the text being typed.
+         *
+         * @returns {number[]} The first selected character and the one after the last,
+         * both the caret if nothing is selected
+         */
+        selectionRange: function () {
+            let caret = drawer.caret;
+            return [Math.min(caret.index, caret.anchor), Math.max(caret.index, caret.anchor)];
+        },
+        /**
+         * Type into the text being typed, replacing the selected characters.
+         *
+         * @param value The typed characters
+         */
+        typeText: function (value) {
+            let range = drawer.selectionRange();
+            drawer.selectedElement.remove(range[0], range[1]);
+            let added = drawer.selectedElement.insert(range[0], value);
+            drawer.moveCaret(range[0] + added, false);
+        },
+        /**
+         * Delete the selected characters of the text being typed or,
+         * if there are none, the character next to the caret.
+         *
+         * @param direction -1 to delete the character before the caret, 1 for the one after it
+         */
+        deleteText: function (direction) {
+            let range = drawer.selectionRange();
+            if (range[0] === range[1]) {
+                range = direction < 0 ?
+                    [Math.max(range[0] - 1, 0), range[0]] :
+                    [range[0], Math.min(range[0] + 1, drawer.selectedElement.chars.length)];
+            }
+            drawer.selectedElement.remove(range[0], range[1]);
+            drawer.moveCaret(range[0], false);
+        },
+        /**
+         * The text whose style the text panel shows: the one being
+         * typed, or else the picked shape if it is a text.
+         *
+         * @returns {DrawnText|null}
+         */
+        styledText: function () {
+            if (drawer.selectedElement instanceof DrawnText) {
+                return drawer.selectedElement;
+            }
+            return drawer.pickedShape instanceof DrawnText ? drawer.pickedShape : null;
+        },
+        /**
+         * Change the font or alignment of new texts, along with the
+         * styled text. The text being typed records the change once it is
+         * finished, while a picked text records it right away.
+         *
+         * @param changes Any of {family, bold, italic, align}
+         */
+        setTextStyle: function (changes) {
+            let restyle = (font) => composeFont(Object.assign(parseFont(font), changes));
+            drawer.settings.font = restyle(drawer.settings.font);
+            drawer.settings.align = changes.align || drawer.settings.align;
+            let text = drawer.styledText();
+            if (!text) {
+                return;
+            }
+            let before = text.snapshot();
+            text.settings.font = restyle(text.settings.font);
+            text.align = changes.align || text.align;
+            let after = text.snapshot();
+            if (text === drawer.pickedShape && JSON.stringify(before) !== JSON.stringify(after)) {
+                drawer.history.execute(new ChangeShapeCommand(text, before, after, "Cambiar estilo de texto"));
+            }
+            drawer.redraw();
+        },
+        /**
+         * Whether the selected element gets its points one click at a time,
+         * like polylines, polygons and bezier paths.
+         *
+         * @returns {boolean}
+         */
+        isPlacingPoints: function () {
+            return drawer.selectedElement instanceof Polyline || drawer.selectedElement instanceof BezierPath;
+        },
+        /**
+         * Stop placing the points of a polyline, polygon or bezier path. The point
+         * following the pointer is dropped, and the shape is stored if enough points are left.
+         */
+        finishPoints: function () {
+            let shape = drawer.selectedElement;
+            if (!drawer.isPlacingPoints()) {
+                return;
+            }
+            drawer.selectedElement = null;
+            drawer.guides = [];
+            shape.dropLastPoint();
+            if (shape.isComplete()) {
+                drawer.storeShape(shape);
+            }
+            drawer.redraw();
+        },
+        /**
+         * Replace all layers as a single step, e.g. to clear or load a drawing.
+         *
+         * @param layers The new layers
+         * @param label A short description shown in the history
+         */
+        replaceLayers: function (layers, label) {
+            drawer.selectedElement = null;
+            drawer.editedText = null;
+            drawer.pickedShape = null;
+            drawer.drag = null;
+            drawer.history.execute(new ReplaceLayersCommand(drawer.layers, layers, label));
+        },
+        /**
+         * Apply new properties to a layer.
+         *
+         * @param layer The layer to change
+         * @param changes Properties to overwrite, e.g. {visible: false}
+         * @param label A short description shown in the history
+         */
+        changeLayer: function (layer, changes, label) {
+            let before = layer.snapshot();
+            layer.restore(changes);
+            let after = layer.snapshot();
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                drawer.history.execute(new ChangeLayerCommand(layer, before, after, label));
+            }
+            drawer.redraw();
+        },
+        /**
+         * Make sure the active layer is still part of the drawing and the
+         * picked shape can still be edited, e.g. after a layer was removed
+         * or hidden.
+         */
+        checkLayers: function () {
+            if (drawer.layers.indexOf(drawer.activeLayer) === -1) {
+                drawer.activeLayer = drawer.layers[drawer.layers.length - 1];
+            }
+            let layer = drawer.pickedShape && drawer.layerOf(drawer.pickedShape);
+            if (drawer.pickedShape && !(layer && layer.isEditable())) {
+                drawer.pickedShape = null;
+                drawer.drag = null;
+            }
+        },
+        /**
+         * Forget the ongoing manipulation after the history moved.
+         */
+        afterTimeTravel: function () {
+            drawer.drag = null;
+            drawer.redraw();
+        },
+        /**
+         * Do the last undone command again.
+         */
+        redo: function () {
+            drawer.finishText();
+            if (drawer.history.redo()) {
+                drawer.afterTimeTravel();
+            }
+        },
+        /**
+         * Revert the last command and keep it for redo.
+         */
+        undo: function () {
+            drawer.finishText();
+            if (drawer.history.undo()) {
+                drawer.afterTimeTravel();
+            }
+        },
+        /**
+         * Undo or redo until a given number of commands are done.
+         *
+         * @param step The number of commands which should be done
+         */
+        goTo: function (step) {
+            drawer.finishText();
+            drawer.history.goTo(step);
+            drawer.afterTimeTravel();
+        },
+    };
+    // endregion
+    drawer.history.onChange(drawer.checkLayers);
+    // Any command may change the shapes of any layer
+    drawer.history.onChange(function () {
+        drawer.invalidate();
+    });
+    drawer.checkLayers();
+    let pos;
+
+    // region Pointer events
+    // Mouse, pen and touch all come in as pointer events. Only one pointer
+    // draws at a time, two fingers zoom and pan, and fingers are ignored
+    // while a pen is near the screen, as they most likely belong to the palm.
+
+    /**
+     * The distance and center between the first two fingers on the canvas.
+     *
+     * @returns {{distance: number, center: {x: number, y: number}}}
+     */
+    function getPinch() {
+        let touches = Array.from(drawer.touches.values());
+        let a = touches[0];
+        let b = touches[1];
+        return {
+            distance: Math.hypot(a.x - b.x, a.y - b.y),
+            center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+        };
+    }
+
+    /**
+     * Whether a pen is pressed with its eraser end, or its eraser button.
+     *
+     * @param pointerEvent A pointer event
+     * @returns {boolean}
+     */
+    function isPenEraser(pointerEvent) {
+        return pointerEvent.pointerType === "pen" && (pointerEvent.button === 5 || (pointerEvent.buttons & 32) !== 0);
+    }
+
+    /**
+     * The pressure of a pointer, only pens have a meaningful one.
+     *
+     * @param pointerEvent A pointer event
+     * @returns {number|undefined} From 0 to 1, undefined for mice and fingers
+     */
+    function penPressure(pointerEvent) {
+        return pointerEvent.pointerType === "pen" ? pointerEvent.pressure : undefined;
+    }
+
+    // region Pointer down
+    drawer.canvas.addEventListener(
+        "pointerdown",
+        /**
+         * Starts drawing the chosen shape.
+         *
+         * @param pointerEvent The event that trigger this callback
+         */
+        function (pointerEvent) {
+            if (pointerEvent.pointerType === "touch") {
+                if (drawer.penActive) {
+                    return;
+                }
+                drawer.touches.set(pointerEvent.pointerId, { x: pointerEvent.offsetX, y: pointerEvent.offsetY });
+                // A second finger turns whatever the first one did into a pinch
+                if (drawer.touches.size >= 2) {
+                    drawer.cancelGesture();
+                    drawer.activePointer = null;
+                    drawer.pinch = getPinch();
+                    drawer.redraw();
+                    return;
+                }
+            } else if (pointerEvent.pointerType === "pen") {
+                drawer.penActive = true;
+                // The palm may have touched the screen before the pen did
+                if (drawer.touches.has(drawer.activePointer)) {
+                    drawer.cancelGesture();
+                    drawer.activePointer = null;
+                    drawer.redraw();
+                }
+                drawer.touches.clear();
+                drawer.pinch = null;
+            }
+            if (drawer.activePointer !== null || drawer.pinch) {
+                return;
+            }
+            drawer.activePointer = pointerEvent.pointerId;
+            drawer.canvas.setPointerCapture(pointerEvent.pointerId);
+            // The middle button, or any button while space is held, pans the view
+            if (pointerEvent.button === 1 || drawer.spaceHeld) {
+                pointerEvent.preventDefault();
+                drawer.pan = { x: pointerEvent.offsetX, y: pointerEvent.offsetY };
+                drawer.canvas.classList.add("panning");
+                return;
+            }
+            pos = drawer.pointerPosition(pointerEvent);
+            let tools = drawer.availableShapes;
+            // The eraser end of a pen always erases, whichever tool is chosen
+            let tool = isPenEraser(pointerEvent) ? tools.ERASE_LIST : drawer.selectedShape;
+            let drawing = tool !== tools.MOVE && tool !== tools.OBJECT_ERASER && tool !== tools.EYEDROPPER;
+            if (drawing && !drawer.activeLayer.isEditable()) {
+                showNotice(drawer.activeLayer.locked ?
+                    "La capa " + drawer.activeLayer.name + " está bloqueada." :
+                    "La capa " + drawer.activeLayer.name + " está oculta.");
+                drawer.activePointer = null;
+                return;
+            }
+            // Shapes of straight lines and curves snap, freehand strokes go where the pointer goes
+            let snapping = [tools.RECTANGLE, tools.OVAL, tools.CIRCLE, tools.LINE, tools.ARROW,
+                tools.POLYLINE, tools.POLYGON, tools.PEN, tools.REGULAR_POLYGON];
+            if (snapping.includes(tool)) {
+                pos = drawer.isPlacingPoints() ?
+                    drawer.drawingPosition(drawer.selectedElement, pos, pointerEvent.shiftKey) :
+                    drawer.snapPosition(pos, null, false);
+            }
+            switch (tool) {
+                case drawer.availableShapes.RECTANGLE:
+                    drawer.selectedElement = new Rectangle(
+                        pos,
+                        drawer.currentSettings(),
+                        0,
+                        0
+                    );
+                    break;
+                case drawer.availableShapes.OVAL:
+                    drawer.selectedElement = new Oval(
+                        pos,
+                        drawer.currentSettings(),
+                        0,
+                        0
+                    );
+                    break;
+                case drawer.availableShapes.CIRCLE:
+                    drawer.selectedElement = new Circle(pos, drawer.currentSettings(), 0);
+                    break;
+                case drawer.availableShapes.LINE:
+                    drawer.selectedElement = new Line(pos, drawer.currentSettings(), pos);
+                    break;
+                case drawer.availableShapes.ARROW:
+                    drawer.selectedElement = new Arrow(
+                        pos,
+                        drawer.currentSettings(),
+                        pos,
+                        drawer.settings.startHead,
+                        drawer.settings.endHead
+                    );
+                    break;
+                case drawer.availableShapes.POLYLINE:
+                case drawer.availableShapes.POLYGON:
+                    // Every click places a point, and the next one follows the pointer
+                    if (drawer.selectedElement instanceof Polyline) {
+                        drawer.selectedElement.resize(pos.x, pos.y);
+                    } else {
+                        drawer.selectedElement = tool === tools.POLYGON ?
+                            new Polygon(pos, drawer.currentSettings()) :
+                            new Polyline(pos, drawer.currentSettings());
+                    }
+                    drawer.selectedElement.addPoint(pos.x, pos.y);
+                    drawer.redraw();
+                    break;
+                case drawer.availableShapes.PEN:
+                    let path = drawer.selectedElement;
+                    if (!(path instanceof BezierPath)) {
+                        drawer.selectedElement = new BezierPath(pos, drawer.currentSettings());
+                    } else if (path.anchors.length > 2 &&
+                        Math.hypot(pos.x - path.anchorPoint(0).x, pos.y - path.anchorPoint(0).y) <= 8 / drawer.viewport.scale) {
+                        // Clicking the first anchor closes the path
+                        path.close();
+                    } else {
+                        path.resize(pos.x, pos.y);
+                    }
+                    drawer.redraw();
+                    break;
+                case drawer.availableShapes.REGULAR_POLYGON:
+                    drawer.selectedElement = new RegularPolygon(pos, drawer.currentSettings(), drawer.settings.sides, 0, 0);
+                    break;
+                case drawer.availableShapes.LINE_LIST:
+                    drawer.selectedElement = new LineList(pos, drawer.currentSettings(), penPressure(pointerEvent), drawer.currentBrush());
+                    break;
+                case drawer.availableShapes.ERASE_LIST:
+                    drawer.selectedElement = new EraseList(pos, drawer.currentSettingsEraser());
+                    break;
+                case drawer.availableShapes.FLOOD_FILL:
+                    let fill = drawer.fillAt(pos);
+                    if (fill) {
+                        drawer.storeShape(fill);
+                        drawer.redraw();
+                    }
+                    break;
+                case drawer.availableShapes.EYEDROPPER:
+                    // Shift takes the color shown on the canvas instead of the one of the shape
+                    let sampled = drawer.colorAt(pos, pointerEvent.shiftKey);
+                    if (sampled) {
+                        drawer.useColor(sampled);
+                        showColors();
+                    }
+                    break;
+                case drawer.availableShapes.OBJECT_ERASER:
+                    drawer.erasedShapes = [];
+                    drawer.eraserPosition = pos;
+                    drawer.eraseObjects(pos, pos);
+                    drawer.redraw();
+                    break;
+                case drawer.availableShapes.DrawnText:
+                    let typed = drawer.selectedElement;
+                    // Pressing on the text being typed moves its caret and starts selecting
+                    if (typed instanceof DrawnText && typed.contains(pos, 4 / drawer.viewport.scale)) {
+                        drawer.moveCaret(typed.indexAt(typed.toLocal(pos)), pointerEvent.shiftKey);
+                        drawer.textGesture = "select";
+                        break;
+                    }
+                    // If we are already drawing text, store that one
+                    drawer.finishText();
+                    // Clicking a stored text continues editing it
+                    let text = drawer.shapeAt(pos);
+                    if (text instanceof DrawnText) {
+                        drawer.editText(text, text.indexAt(text.toLocal(pos)));
+                        drawer.textGesture = "select";
+                    } else {
+                        drawer.editText(new DrawnText(pos, drawer.currentSettings(), drawer.settings.align, 0), 0);
+                        // Dragging opens a box for the text to wrap in
+                        drawer.textGesture = "box";
+                    }
+                    showTextStyle();
+                    break;
+                case drawer.availableShapes.MOVE:
+                    drawer.startDrag(pos);
+                    drawer.redraw();
+                    break;
+            }
+        }
+    );
+    // endregion
+
+    // region Pointer move
+    drawer.canvas.addEventListener(
+        "pointermove",
+        /**
+         * If any shape other than text is being drawn, we resize it.
+         *
+         * @param pointerEvent The event that trigger this callback
+         */
+        function (pointerEvent) {
+            if (pointerEvent.pointerType === "pen") {
+                drawer.penActive = true;
+            }
+            if (drawer.touches.has(pointerEvent.pointerId)) {
+                drawer.touches.set(pointerEvent.pointerId, { x: pointerEvent.offsetX, y: pointerEvent.offsetY });
+                if (drawer.pinch) {
+                    let pinch = getPinch();
+                    drawer.viewport.panBy(pinch.center.x - drawer.pinch.center.x, pinch.center.y - drawer.pinch.center.y);
+                    drawer.viewport.zoomAt(pinch.center, pinch.distance / (drawer.pinch.distance || 1));
+                    drawer.pinch = pinch;
+                    showZoom();
+                    drawer.redraw();
+                    return;
+                }
+            }
+            // The next point of a polyline follows the pointer between clicks
+            let placing = drawer.activePointer === null && drawer.isPlacingPoints();
+            if (pointerEvent.pointerId !== drawer.activePointer && !placing) {
+                return;
+            }
+            let point = drawer.pointerPosition(pointerEvent);
+            if (drawer.pan) {
+                drawer.viewport.panBy(pointerEvent.offsetX - drawer.pan.x, pointerEvent.offsetY - drawer.pan.y);
+                drawer.pan = { x: pointerEvent.offsetX, y: pointerEvent.offsetY };
+                drawer.redraw();
+            } else if (drawer.textGesture === "box") {
+                drawer.selectedElement.resize(point.x, point.y);
+                drawer.redraw();
+            } else if (drawer.textGesture === "select") {
+                drawer.moveCaret(drawer.selectedElement.indexAt(drawer.selectedElement.toLocal(point)), true);
+            } else if (drawer.selectedElement && !(drawer.selectedElement instanceof DrawnText)) {
+                // Strokes get every point the pointer passed since the last event
+                let events = pointerEvent.getCoalescedEvents ? pointerEvent.getCoalescedEvents() : [];
+                if (events.length === 0 || !(drawer.selectedElement instanceof LineList || drawer.selectedElement instanceof EraseList)) {
+                    events = [pointerEvent];
+                }
+                let freehand = drawer.selectedElement instanceof LineList || drawer.selectedElement instanceof EraseList;
+                events.forEach(function (event) {
+                    let p = drawer.pointerPosition(event);
+                    // Dragging while an anchor is placed pulls out its handles
+                    if (drawer.selectedElement instanceof BezierPath && !placing) {
+                        drawer.selectedElement.pullHandles(p.x, p.y);
+                    } else if (freehand) {
+                        drawer.selectedElement.resize(p.x, p.y, penPressure(event));
+                    } else {
+                        p = drawer.drawingPosition(drawer.selectedElement, p, event.shiftKey);
+                        drawer.selectedElement.resize(p.x, p.y);
+                    }
+                });
+                drawer.redraw();
+            } else if (drawer.drag) {
+                drawer.dragTo(point, pointerEvent.shiftKey);
+                drawer.redraw();
+            } else if (drawer.erasedShapes) {
+                drawer.eraseObjects(drawer.eraserPosition, point);
+                drawer.eraserPosition = point;
+                drawer.redraw();
+            }
+        }
+    );
+
+    drawer.canvas.addEventListener(
+        "pointerleave",
+        /**
+         * Once the pen is out of reach, fingers can draw again.
+         *
+         * @param pointerEvent The event that trigger this callback
+         */
+        function (pointerEvent) {
+            if (pointerEvent.pointerType === "pen") {
+                drawer.penActive = false;
+            }
+        }
+    );
+    // endregion
+
+    // region Pointer up
+    /**
+     * Forget a finger lifted from the canvas. The pinch ends
+     * as soon as one of its fingers is lifted.
+     *
+     * @param pointerEvent The event of the lifted pointer
+     */
+    function releaseTouch(pointerEvent) {
+        drawer.touches.delete(pointerEvent.pointerId);
+        if (drawer.pinch && drawer.touches.size < 2) {
+            drawer.pinch = null;
+        }
+    }
+
+    document.addEventListener(
+        "pointerup",
+        /**
+         * If any element is being drawn and it's not text, then
+         * we store it when the pointer is released.
+         *
+         * @param pointerEvent  The event that trigger this callback
+         */
+        function (pointerEvent) {
+            releaseTouch(pointerEvent);
+            if (pointerEvent.pointerId !== drawer.activePointer) {
+                return;
+            }
+            drawer.activePointer = null;
+            if (drawer.pan) {
+                drawer.pan = null;
+                drawer.canvas.classList.remove("panning");
+            } else if (drawer.textGesture) {
+                drawer.textGesture = null;
+                // Pressing on the canvas took the keyboard away from the text
+                drawer.focusTextInput();
+            } else if (drawer.selectedElement instanceof BezierPath) {
+                // Closing the path finishes it, otherwise the next anchor follows the pointer
+                if (drawer.selectedElement.isClosed()) {
+                    drawer.finishPoints();
+                } else {
+                    let point = drawer.drawingPosition(drawer.selectedElement, drawer.pointerPosition(pointerEvent), pointerEvent.shiftKey);
+                    drawer.selectedElement.addAnchor(point.x, point.y);
+                    drawer.redraw();
+                }
+            } else if (drawer.selectedElement && !(drawer.selectedElement instanceof DrawnText || drawer.isPlacingPoints())) {
+                drawer.storeShape(drawer.selectedElement);
+                drawer.selectedElement = null;
+                drawer.guides = [];
+                // Show the stroke as it was stored, thinned out
+                drawer.redraw();
+            } else if (drawer.drag) {
+                drawer.endDrag();
+            } else if (drawer.erasedShapes) {
+                let erased = drawer.erasedShapes;
+                drawer.erasedShapes = null;
+                drawer.eraserPosition = null;
+                if (erased.length > 0) {
+                    drawer.history.execute(new DeleteShapesCommand(drawer.layers, erased));
+                }
+                drawer.redraw();
+            }
+        }
+    );
+
+    document.addEventListener(
+        "pointercancel",
+        /**
+         * The browser took over the pointer, e.g. for a system gesture,
+         * so whatever it was doing is dropped.
+         *
+         * @param pointerEvent  The event that trigger this callback
+         */
+        function (pointerEvent) {
+            releaseTouch(pointerEvent);
+            if (pointerEvent.pointerId !== drawer.activePointer) {
+                return;
+            }
+            drawer.activePointer = null;
+            drawer.pan = null;
+            drawer.canvas.classList.remove("panning");
+            drawer.cancelGesture();
+            drawer.redraw();
+        }
+    );
+
+    drawer.canvas.addEventListener(
+        "dblclick",
+        /**
+         * A double click places the last point of a polyline or polygon.
+         * On a text it selects a word of the text being typed, or
+         * starts typing in a stored text with any tool.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            if (drawer.isPlacingPoints()) {
+                drawer.finishPoints();
+                return;
+            }
+            let point = drawer.pointerPosition(evt);
+            let text = drawer.shapeAt(point);
+            if (!(text instanceof DrawnText)) {
+                return;
+            }
+            let index = text.indexAt(text.toLocal(point));
+            if (text !== drawer.selectedElement) {
+                document.querySelector('#shape-list li[data-shape="' + drawer.availableShapes.DrawnText + '"]').click();
+                drawer.editText(text, index);
+                showTextStyle();
+                return;
+            }
+            // The word holds everything up to the spaces and line breaks around it
+            let start = index;
+            let end = index;
+            while (start > 0 && !/\s/.test(text.chars[start - 1])) {
+                start--;
+            }
+            while (end < text.chars.length && !/\s/.test(text.chars[end])) {
+                end++;
+            }
+            drawer.moveCaret(start, false);
+            drawer.moveCaret(end, true);
+        }
+    );
+    // endregion
+    // endregion
+
+    // region Key events
+    /**
+     * Move the caret through the text being typed, break its lines and
+     * delete its characters. Escape stores the text and stops typing it.
+     *
+     * @param evt The keydown event
+     * @returns {boolean} Whether the key did anything
+     */
+    function textKeyDown(evt) {
+        let text = drawer.selectedElement;
+        let index = drawer.caret.index;
+        let extend = evt.shiftKey;
+        let layout = text.layout();
+        let line = layout.lines[text.lineOf(index, layout)];
+        switch (evt.key) {
+            case "ArrowLeft":
+            case "ArrowRight":
+                let range = drawer.selectionRange();
+                let step = evt.key === "ArrowLeft" ? -1 : 1;
+                // Without shift, a selection collapses to its side
+                if (range[0] !== range[1] && !extend) {
+                    drawer.moveCaret(range[step < 0 ? 0 : 1], false);
+                } else {
+                    drawer.moveCaret(index + step, extend);
+                }
+                break;
+            case "ArrowUp":
+            case "ArrowDown":
+                let p = text.caretPoint(index);
+                let y = p.y + (evt.key === "ArrowUp" ? -1 : 1) * layout.lineHeight;
+                drawer.moveCaret(text.indexAt({ x: p.x, y: y }), extend);
+                break;
+            case "Home":
+                drawer.moveCaret(line.start, extend);
+                break;
+            case "End":
+                drawer.moveCaret(line.end, extend);
+                break;
+            case "Backspace":
+                drawer.deleteText(-1);
+                break;
+            case "Delete":
+                drawer.deleteText(1);
+                break;
+            case "Enter":
+                drawer.typeText("\n");
+                break;
+            case "Escape":
+                drawer.finishText();
+                drawer.redraw();
+                break;
+            default:
+                if ((evt.ctrlKey || evt.metaKey) && evt.key.toLowerCase() === "a") {
+                    drawer.moveCaret(0, false);
+                    drawer.moveCaret(text.chars.length, true);
+                    break;
+                }
+                return false;
+        }
+        return true;
+    }
+
+    document.addEventListener(
+        "keypress",
+        /**
+         * Check for undo and redo combos. Typed characters reach
+         * texts through the hidden text area instead.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            if (evt.key.toUpperCase() === "Z" && evt.ctrlKey) {
+                if (evt.shiftKey) {
+                    drawer.redo();
+                } else {
+                    drawer.undo();
+                }
+            }
+        }
+    );
+
+    drawer.textInput.addEventListener(
+        "input",
+        /**
+         * Type whatever reached the hidden text area into the text being
+         * typed, e.g. a letter with an accent made with a dead key or an emoji.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            // Composed characters arrive through the composition events
+            if (evt.isComposing || drawer.composition || evt.inputType === "insertCompositionText") {
+                return;
+            }
+            if (drawer.selectedElement instanceof DrawnText && drawer.textInput.value !== "") {
+                drawer.typeText(drawer.textInput.value.replace(/\r\n?/g, "\n"));
+            }
+            drawer.textInput.value = "";
+        }
+    );
+    drawer.textInput.addEventListener(
+        "compositionupdate",
+        /**
+         * Show the characters an input method is composing in the text.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            if (drawer.selectedElement instanceof DrawnText) {
+                drawer.compose(evt.data);
+            }
+        }
+    );
+    drawer.textInput.addEventListener(
+        "compositionend",
+        /**
+         * Keep the characters the input method composed.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            if (drawer.selectedElement instanceof DrawnText) {
+                drawer.endComposition(evt.data);
+            }
+            drawer.textInput.value = "";
+        }
+    );
+    drawer.textInput.addEventListener(
+        "paste",
+        /**
+         * Type pasted text, line breaks included.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            evt.preventDefault();
+            let value = evt.clipboardData.getData("text/plain");
+            if (drawer.selectedElement instanceof DrawnText && value !== "") {
+                drawer.typeText(value.replace(/\r\n?/g, "\n"));
+            }
+        }
+    );
+    ["copy", "cut"].forEach(function (type) {
+        drawer.textInput.addEventListener(
+            type,
+            /**
+             * Copy the selected characters, as the hidden text area holds none.
+             * Cutting deletes them as well.
+             *
+             * @param evt The event that triggered this callback
+             */
+            function (evt) {
+                let text = drawer.selectedElement;
+                let range = drawer.selectionRange();
+                if (!(text instanceof DrawnText) || range[0] === range[1]) {
+                    return;
+                }
+                evt.preventDefault();
+                evt.clipboardData.setData("text/plain", text.chars.slice(range[0], range[1]).join(""));
+                if (type === "cut") {
+                    drawer.deleteText(1);
+                }
+            }
+        );
+    });
+    // endregion
+
+
+
+    document.addEventListener(
+        "keydown",
+        /**
+         * If a key is pressed, we first check to see if a text
+         * is being drawn and if so, handle that accordingly. If
+         * not, Delete and Backspace remove the picked shape.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            let key = evt.key;
+            if (
+                drawer.selectedShape === drawer.availableShapes.DrawnText &&
+                drawer.selectedElement
+            ) {
+                // While composing, the keys belong to the input method
+                if (!evt.isComposing && !drawer.composition && textKeyDown(evt)) {
+                    evt.preventDefault();
+                }
+            } else if (drawer.isPlacingPoints() && (key === "Enter" || key === "Escape")) {
+                // Enter keeps the placed points, Escape drops them all
+                if (key === "Enter") {
+                    drawer.finishPoints();
+                } else {
+                    drawer.selectedElement = null;
+                    drawer.redraw();
+                }
+            } else if (
+                (key === "Delete" || key === "Backspace") &&
+                evt.target.tagName !== "INPUT" &&
+                !drawer.drag
+            ) {
+                drawer.deletePicked();
+            }
+        }
+    );
 
-    <!-- Canvas -->
-    <div class="container-fluid">
-      <canvas id="canvas"> Tu navegador no soporta esta aplicación :( </canvas>
-    </div>
 
-    <!-- Hidden modal for size adjustments -->
-    <div id="size-modal" class="modal">
-      <div class="modal-dialog">
-        <div class="modal-content">
-          <div class="modal-header">
-            <h4 class="modal-title">Modificar tamaños</h4>
-            <button type="button" class="close btn-close-modal-size abort" data-dismiss="modal">
-              <img src="./assets/icons/icons8_multiply.svg" alt="">
-            </button>
-          </div>
-          <div class="modal-body">
-            <table class="table" id="size-table">
-              <tbody>
-                <tr id="font-row" data-value="12pt">
-                  <td>Tamaño de fuente</td>
-                  <td>
-                    <a class="decrease">
-                      <i class="fas fa-minus"></i>
-                    </a>
-                  </td>
-                  <td class="value-data center">12pt</td>
-                  <td class="center">
-                    <a class="increase">
-                      <i class="fas fa-plus"></i>
-                    </a>
-                  </td>
-                </tr>
-                <tr id="width-row" data-value="1">
-                  <td>Ancho de linea</td>
-                  <td>
-                    <a class="decrease">
-                      <i class="fas fa-minus"></i>
-                    </a>
-                  </td>
-                  <td class="value-data center">1</td>
-                  <td class="center">
-                    <a class="increase">
-                      <i class="fas fa-plus"></i>
-                    </a>
-                  </td>
-                </tr>
-              </tbody>
-            </table>
-          </div>
-          <div class="modal-footer">
-            <button type="button" class="btn btn-close-modal-size abort">
-              Cancelar
-            </button>
-            <button type="button" class="btn btn-close-modal-size confirm">
-              Aplicar
-            </button>
-          </div>
-        </div>
-      </div>
-    </div>
-`;
 
+    // region OnClick events
 
-/**
- * Function scope wrapper.
- */
-(function () {
-    const paintme = document.getElementById('paintme');
+    // region Undo and Redo
+    // Undo and redo can also be done from the navigation bar by clicking icons
+    document.getElementById("btn-undo").addEventListener("click", drawer.undo);
+    document.getElementById("btn-redo").addEventListener("click", drawer.redo);
+    // endregion
 
-    paintme.innerHTML = htmlContent;
+    // region History panel
+    let historyPanel = document.getElementById("history-panel");
+    let historyList = document.getElementById("history-list");
+    let historyLimit = document.getElementById("history-limit");
 
-    // region Drawer
     /**
-     * An object that holds shapes and current settings
+     * List every step of the history, the done ones first followed
+     * by the undone ones. Clicking a step goes back or forth to it.
      */
-    let drawer = {
-        // A list of shapes on the canvas
-        shapes: [],
-        // If any shapes are undone they are kept here temporarily
-        undoneShapes: [],
-        // The shape currently selected
-        selectedShape: "lineList",
-        // Canvas DOM element
-        canvas: document.getElementById("canvas"),
-        // The context of the canvas
-        ctx: document.getElementById("canvas").getContext("2d"),
-        // The element currently being drawn
-        selectedElement: null,
-        // The shapes we can choose from
-        availableShapes: {
-            RECTANGLE: "rectangle",
-            OVAL: "oval",
-            CIRCLE: "circle",
-            LINE: "line",
-            LINE_LIST: "lineList",
-            ERASE_LIST: "eraseList",
-            DrawnText: "text",
-            MOVE: "move", // TODO
-        },
-        // Settings for selectedElement
-        settings: {
-            color: "#000000",
-            filled: false,
-            width: 10,
-            font: "36pt sans-serif",
-        },
+    function renderHistory() {
+        let history = drawer.history;
+        let steps = [{ label: "Inicio" }].concat(history.done, history.undone.slice().reverse());
+        historyList.innerHTML = "";
+        steps.forEach(function (command, i) {
+            let item = document.createElement("li");
+            item.textContent = command.label;
+            item.classList.toggle("current", i === history.done.length);
+            item.classList.toggle("undone", i > history.done.length);
+            item.addEventListener("click", function () {
+                drawer.goTo(i);
+            });
+            historyList.appendChild(item);
+        });
+    }
+
+    drawer.history.onChange(renderHistory);
+    renderHistory();
+
+    document.getElementById("btn-history").addEventListener(
+        "click",
         /**
-         * Deep copy of settings.
+         * Show or hide the history panel.
          *
-         * @returns {{color: string, filled: boolean, width: number, font: string}}
+         * @param evt The event that triggered this callback
          */
-        currentSettings: function () {
-            return {
-                color: drawer.settings.color.slice(0, drawer.settings.color.length),
-                filled: drawer.settings.filled,
-                width: drawer.settings.width,
-                font: drawer.settings.font.slice(0, drawer.settings.font.length),
-            };
-        },
-        currentSettingsEraser: function () {
-            return {
-                color: drawer.settings.color.slice(0, drawer.settings.color.length),
-                filled: drawer.settings.filled,
-                width: drawer.settings.width + 10,
-                font: drawer.settings.font.slice(0, drawer.settings.font.length),
-            };
-        },
+        function (evt) {
+            historyPanel.classList.toggle("show");
+            evt.currentTarget.classList.toggle("active");
+        }
+    );
 
+    historyLimit.addEventListener(
+        "change",
         /**
-         * Draw all stored shapes.
-         */
-        drawAllStoredShapes: function () {
-            for (let i = 0; i < drawer.shapes.length; i++) {
-                if (drawer.shapes[i]) {
-                    drawer.shapes[i].render(drawer.ctx);
-                }
-            }
-        },
-        /**
-         * Draw the selected shape in its current state.
+         * Change how many steps can be undone.
+         *
+         * @param evt The event that triggered this callback
          */
-        drawSelected: function () {
-            if (drawer.selectedElement) {
-                drawer.selectedElement.render(drawer.ctx);
+        function (evt) {
+            let limit = parseInt(historyLimit.value);
+            if (limit > 0) {
+                drawer.history.setLimit(limit);
             }
-        },
+            historyLimit.value = drawer.history.limit;
+        }
+    );
+    // endregion
+
+    // region View
+    let zoomLevel = document.getElementById("zoom-level");
+
+    /**
+     * Show the current zoom in the navigation bar.
+     */
+    function showZoom() {
+        zoomLevel.textContent = Math.round(drawer.viewport.scale * 100) + "%";
+    }
+
+    drawer.canvas.addEventListener(
+        "wheel",
         /**
-         * Redraws all elements to the canvas.
+         * Zoom in or out around the mouse. Pinching on a touchpad
+         * comes in as a wheel event as well.
+         *
+         * @param evt The event that triggered this callback
          */
-        redraw: function () {
-            // Wipe everything off the canvas
-            drawer.ctx.canvas.width = window.innerWidth;
-            drawer.ctx.canvas.height = window.innerHeight;
-            width = canvas.width;
-            height = canvas.height;
-            drawer.ctx.clearRect(
-                0,
-                0,
-                drawer.ctx.canvas.width,
-                drawer.ctx.canvas.height
-            );
-            drawer.drawAllStoredShapes();
-            drawer.drawSelected();
+        function (evt) {
+            evt.preventDefault();
+            // Lines and pages are much bigger steps than pixels
+            let delta = evt.deltaY * (evt.deltaMode === 0 ? 1 : 30);
+            drawer.viewport.zoomAt({ x: evt.offsetX, y: evt.offsetY }, Math.exp(-delta * 0.002));
+            showZoom();
+            drawer.redraw();
         },
+        { passive: false }
+    );
+
+    document.addEventListener(
+        "keydown",
         /**
-         * Add the last undone shape back to the list of shapes.
+         * Holding space lets the mouse pan the view, unless it is typed.
+         *
+         * @param evt The event that triggered this callback
          */
-        redo: function () {
-            if (drawer.undoneShapes.length > 0) {
-                drawer.shapes.push(drawer.undoneShapes.pop());
-                drawer.redraw();
+        function (evt) {
+            let typing = evt.target.tagName === "INPUT" ||
+                (drawer.selectedShape === drawer.availableShapes.DrawnText && drawer.selectedElement);
+            if (evt.key === " " && !typing) {
+                evt.preventDefault();
+                drawer.spaceHeld = true;
+                drawer.canvas.classList.add("pan-tool");
             }
-        },
+        }
+    );
+    document.addEventListener(
+        "keyup",
         /**
-         * Remove the last shape drawn and place in temporary redo storage.
+         * Releasing space lets the mouse draw again.
+         *
+         * @param evt The event that triggered this callback
          */
-        undo: function () {
-            if (drawer.shapes.length > 0) {
-                drawer.undoneShapes.push(drawer.shapes.pop());
-                drawer.redraw();
+        function (evt) {
+            if (evt.key === " ") {
+                drawer.spaceHeld = false;
+                drawer.canvas.classList.remove("pan-tool");
             }
-        },
-    };
-    // endregion
-    let pos;
-
-    // Set up touch events for mobile, etc
-    drawer.canvas.addEventListener(
-        "touchstart",
-        function (e) {
-            mousePos = getTouchPos(canvas, e);
-            var touch = e.touches[0];
-            var mouseEvent = new MouseEvent("mousedown", {
-                clientX: touch.clientX,
-                clientY: touch.clientY,
-            });
-            drawer.canvas.dispatchEvent(mouseEvent);
-        },
-        false
-    );
-    drawer.canvas.addEventListener(
-        "touchend",
-        function (e) {
-            var mouseEvent = new MouseEvent("mouseup", {});
-            drawer.canvas.dispatchEvent(mouseEvent);
-        },
-        false
-    );
-    drawer.canvas.addEventListener(
-        "touchmove",
-        function (e) {
-            var touch = e.touches[0];
-            var mouseEvent = new MouseEvent("mousemove", {
-                clientX: touch.clientX,
-                clientY: touch.clientY,
-            });
-            drawer.canvas.dispatchEvent(mouseEvent);
-        },
-        false
+        }
     );
 
-    // Get the position of a touch relative to the canvas
-    function getTouchPos(canvasDom, touchEvent) {
-        var rect = canvasDom.getBoundingClientRect();
-        return {
-            x: touchEvent.touches[0].clientX - rect.left,
-            y: touchEvent.touches[0].clientY - rect.top,
-        };
-    }
-
-    // region Mouse events
-    // region Mouse down
-    drawer.canvas.addEventListener(
-        "mousedown",
+    document.getElementById("btn-zoom-fit").addEventListener(
+        "click",
         /**
-         * Starts drawing the chosen shape.
+         * Zoom so the whole drawing fits on the canvas.
          *
-         * @param mouseEvent The event that trigger this callback
+         * @param evt The event that triggered this callback
          */
-        function (mouseEvent) {
-            pos = { x: mouseEvent.offsetX, y: mouseEvent.offsetY };
-            switch (drawer.selectedShape) {
-                case drawer.availableShapes.RECTANGLE:
-                    drawer.selectedElement = new Rectangle(
-                        pos,
-                        drawer.currentSettings(),
-                        0,
-                        0
-                    );
-                    break;
-                case drawer.availableShapes.OVAL:
-                    drawer.selectedElement = new Oval(
-                        pos,
-                        drawer.currentSettings(),
-                        0,
-                        0
-                    );
-                    break;
-                case drawer.availableShapes.CIRCLE:
-                    drawer.selectedElement = new Circle(pos, drawer.currentSettings(), 0);
-                    break;
-                case drawer.availableShapes.LINE:
-                    drawer.selectedElement = new Line(pos, drawer.currentSettings(), pos);
-                    break;
-                case drawer.availableShapes.LINE_LIST:
-                    drawer.selectedElement = new LineList(pos, drawer.currentSettings());
-                    break;
-                case drawer.availableShapes.ERASE_LIST:
-                    drawer.selectedElement = new EraseList(pos, drawer.currentSettingsEraser());
-                    break;
-                case drawer.availableShapes.DrawnText:
-                    // If we are already drawing text, store that one
-                    if (drawer.selectedElement) {
-                        drawer.shapes.push(drawer.selectedElement);
-                        drawer.undoneShapes.splice(0, drawer.undoneShapes.length);
-                    }
-                    drawer.selectedElement = new DrawnText(pos, drawer.currentSettings());
-                    break;
-                case drawer.availableShapes.MOVE:
-                    // TODO
-                    break;
+        function (evt) {
+            let bounds = drawingBounds();
+            if (!bounds) {
+                showNotice("No hay nada dibujado.");
+                return;
             }
+            drawer.viewport.fit(bounds, drawer.size.width, drawer.size.height);
+            showZoom();
+            drawer.redraw();
         }
     );
-    // endregion
 
-    // region Mouse move
-    drawer.canvas.addEventListener(
-        "mousemove",
+    document.getElementById("btn-zoom-reset").addEventListener(
+        "click",
         /**
-         * If any shape other than text is being drawn, we resize it.
+         * Show the drawing at its actual size from the origin again.
          *
-         * @param mouseEvent The event that trigger this callback
+         * @param evt The event that triggered this callback
          */
-        function (mouseEvent) {
-            if (
-                drawer.selectedElement &&
-                drawer.selectedShape !== drawer.availableShapes.DrawnText
-            ) {
-                drawer.selectedElement.resize(mouseEvent.offsetX, mouseEvent.offsetY);
-                drawer.redraw();
-            }
+        function (evt) {
+            drawer.viewport.reset();
+            showZoom();
+            drawer.redraw();
         }
     );
-    // endregion
 
-    // region Mouse up
-    document.addEventListener(
-        "mouseup",
+    window.addEventListener(
+        "resize",
         /**
-         * If any element is being drawn and it's not text, then
-         * we store it when the mouse is released.
+         * Fit the canvas to the resized window.
          *
-         * @param mouseEvent  The event that trigger this callback
+         * @param evt The event that triggered this callback
          */
-        function (mouseEvent) {
-            if (
-                drawer.selectedElement &&
-                drawer.selectedShape !== drawer.availableShapes.DrawnText
-            ) {
-                drawer.shapes.push(drawer.selectedElement);
-                drawer.selectedElement = null;
-                drawer.undoneShapes.splice(0, drawer.undoneShapes.length);
-            }
+        function (evt) {
+            drawer.redraw();
         }
     );
-    // endregion
+
+    /**
+     * Redraw when the pixel ratio changes, e.g. when the window is moved to
+     * another screen or the page is zoomed. The media query only matches the
+     * current ratio, so a new one is watched after every change.
+     */
+    function watchPixelRatio() {
+        window.matchMedia("(resolution: " + (window.devicePixelRatio || 1) + "dppx)").addEventListener(
+            "change",
+            function (evt) {
+                drawer.redraw();
+                watchPixelRatio();
+            },
+            { once: true }
+        );
+    }
+
+    watchPixelRatio();
     // endregion
 
-    // region Key events
+    // region Layers panel
+    let layersPanel = document.getElementById("layers-panel");
+    let layersList = document.getElementById("layers-list");
+    // The layer being dragged to another place in the list
+    let draggedLayer = null;
+
     /**
-     * If we are drawing a text and we press Enter, then
-     * we store the text and stop drawing it. Otherwise the
-     * key pressed is added to it.
+     * Create a button of a layer in the list.
      *
-     * @param key A key that was pressed
+     * @param className The class of the button
+     * @param icon The file name of its icon
+     * @param onClick What happens when the button is clicked
+     * @returns {HTMLElement}
      */
-    function textKeyPress(key) {
-        if (key === "Enter") {
-            drawer.shapes.push(drawer.selectedElement);
-            drawer.selectedElement = null;
-            drawer.undoneShapes.splice(0, drawer.undoneShapes.length);
-        } else {
-            drawer.selectedElement.resize(key);
+    function createLayerButton(className, icon, onClick) {
+        let button = document.createElement("a");
+        button.className = className;
+        let image = document.createElement("img");
+        image.src = "./assets/icons/" + icon;
+        image.alt = "";
+        button.appendChild(image);
+        button.addEventListener("click", function (evt) {
+            evt.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    /**
+     * Replace the name of a layer in the list by an input to rename it.
+     * Enter or leaving the input keeps the name, Escape cancels.
+     *
+     * @param layer The layer to rename
+     * @param name The element showing the name
+     */
+    function startRenaming(layer, name) {
+        let input = document.createElement("input");
+        input.type = "text";
+        input.className = "layer-name";
+        input.value = layer.name;
+        let done = false;
+        let finish = function (keep) {
+            if (done) {
+                return;
+            }
+            done = true;
+            let value = input.value.trim();
+            if (keep && value && value !== layer.name) {
+                drawer.changeLayer(layer, { name: value }, "Renombrar " + layer.name);
+            } else {
+                renderLayerList();
+            }
+        };
+        input.addEventListener("keydown", function (evt) {
+            evt.stopPropagation();
+            if (evt.key === "Enter" || evt.key === "Escape") {
+                finish(evt.key === "Enter");
+            }
+        });
+        input.addEventListener("keypress", (evt) => evt.stopPropagation());
+        input.addEventListener("blur", () => finish(true));
+        name.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Create the list item of a layer, with buttons to show and lock it,
+     * its name, which can be double clicked to rename it, and its opacity.
+     *
+     * @param layer A layer of the drawing
+     * @returns {HTMLElement}
+     */
+    function createLayerItem(layer) {
+        let item = document.createElement("li");
+        item.draggable = true;
+        item.classList.toggle("current", layer === drawer.activeLayer);
+        item.classList.toggle("hidden-layer", !layer.visible);
+
+        let visibility = createLayerButton("layer-visible", layer.visible ? "view.svg" : "view--off.svg", function () {
+            drawer.changeLayer(layer, { visible: !layer.visible },
+                (layer.visible ? "Ocultar " : "Mostrar ") + layer.name);
+        });
+        let lock = createLayerButton("layer-lock", layer.locked ? "locked.svg" : "unlocked.svg", function () {
+            drawer.changeLayer(layer, { locked: !layer.locked },
+                (layer.locked ? "Desbloquear " : "Bloquear ") + layer.name);
+        });
+
+        let name = document.createElement("span");
+        name.className = "layer-name";
+        name.textContent = layer.name;
+        name.addEventListener("dblclick", function (evt) {
+            startRenaming(layer, name);
+        });
+
+        let opacity = document.createElement("input");
+        opacity.type = "range";
+        opacity.className = "layer-opacity";
+        opacity.min = "0";
+        opacity.max = "100";
+        opacity.value = String(Math.round(layer.opacity * 100));
+        opacity.title = "Opacidad";
+        let before = layer.opacity;
+        // Show the opacity while sliding, it is recorded once released
+        opacity.addEventListener("input", function (evt) {
+            layer.opacity = parseInt(opacity.value) / 100;
             drawer.redraw();
-        }
+        });
+        opacity.addEventListener("change", function (evt) {
+            layer.opacity = before;
+            drawer.changeLayer(layer, { opacity: parseInt(opacity.value) / 100 }, "Cambiar opacidad de " + layer.name);
+        });
+        opacity.addEventListener("click", (evt) => evt.stopPropagation());
+
+        item.append(visibility, lock, name, opacity);
+        item.addEventListener("click", function (evt) {
+            drawer.activeLayer = layer;
+            renderLayerList();
+        });
+
+        // Drop a layer on another one to take its place
+        item.addEventListener("dragstart", function (evt) {
+            draggedLayer = layer;
+            evt.dataTransfer.effectAllowed = "move";
+            evt.dataTransfer.setData("text/plain", layer.name);
+        });
+        item.addEventListener("dragover", function (evt) {
+            if (draggedLayer && draggedLayer !== layer) {
+                evt.preventDefault();
+                item.classList.add("drop-target");
+            }
+        });
+        item.addEventListener("dragleave", function (evt) {
+            item.classList.remove("drop-target");
+        });
+        item.addEventListener("drop", function (evt) {
+            evt.preventDefault();
+            item.classList.remove("drop-target");
+            if (draggedLayer && draggedLayer !== layer) {
+                drawer.history.execute(
+                    new MoveLayerCommand(drawer.layers, draggedLayer, drawer.layers.indexOf(layer))
+                );
+                drawer.redraw();
+            }
+            draggedLayer = null;
+        });
+        item.addEventListener("dragend", function (evt) {
+            draggedLayer = null;
+        });
+        return item;
     }
 
-    document.addEventListener(
-        "keypress",
+    /**
+     * List the layers, the top most first as it covers the others.
+     */
+    function renderLayerList() {
+        layersList.innerHTML = "";
+        drawer.layers.slice().reverse().forEach(function (layer) {
+            layersList.appendChild(createLayerItem(layer));
+        });
+    }
+
+    drawer.history.onChange(renderLayerList);
+    renderLayerList();
+
+    document.getElementById("btn-layers").addEventListener(
+        "click",
         /**
-         * If a key is pressed, we first check to see if a text
-         * is being drawn and if so, handle that accordingly. If
-         * not, we check for undo and redo combos.
+         * Show or hide the layers panel.
          *
          * @param evt The event that triggered this callback
          */
         function (evt) {
-            if (
-                drawer.selectedShape === drawer.availableShapes.DrawnText &&
-                drawer.selectedElement
-            ) {
-                textKeyPress(evt.key);
-            } else if (evt.key.toUpperCase() === "Z" && evt.ctrlKey) {
-                if (evt.shiftKey) {
-                    drawer.redo();
-                } else {
-                    drawer.undo();
-                }
-            }
+            layersPanel.classList.toggle("show");
+            evt.currentTarget.classList.toggle("active");
+        }
+    );
+
+    document.getElementById("layer-add").addEventListener(
+        "click",
+        /**
+         * Add an empty layer right above the active one and make it active.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            let layer = new Layer("Capa " + (drawer.layers.length + 1));
+            let index = drawer.layers.indexOf(drawer.activeLayer) + 1;
+            drawer.activeLayer = layer;
+            drawer.history.execute(new AddLayerCommand(drawer.layers, layer, index));
         }
     );
-    // endregion
-
-
 
-    document.addEventListener(
-        "keydown",
+    document.getElementById("layer-delete").addEventListener(
+        "click",
         /**
-         * If a key is pressed, we first check to see if a text
-         * is being drawn and if so, handle that accordingly. If
-         * not, we check for undo and redo combos.
+         * Remove the active layer, unless it is the only one.
          *
          * @param evt The event that triggered this callback
          */
         function (evt) {
-            if (
-                drawer.selectedShape === drawer.availableShapes.DrawnText &&
-                drawer.selectedElement
-            ) {
-                let key = evt.key;
-                if (key === "Backspace") {
-                    drawer.selectedElement.resize(key);
-                    drawer.redraw();
-                } else {
-                    // console.log("borrando")
-                }
+            if (drawer.layers.length === 1) {
+                showNotice("El dibujo necesita al menos una capa.");
+                return;
             }
+            let index = drawer.layers.indexOf(drawer.activeLayer);
+            drawer.history.execute(new DeleteLayerCommand(drawer.layers, drawer.activeLayer));
+            drawer.activeLayer = drawer.layers[Math.max(index - 1, 0)];
+            renderLayerList();
+            drawer.redraw();
         }
     );
-
-
-
-    // region OnClick events
-
-    // region Undo and Redo
-    // Undo and redo can also be done from the navigation bar by clicking icons
-    document.getElementById("btn-undo").addEventListener("click", drawer.undo);
-    document.getElementById("btn-redo").addEventListener("click", drawer.redo);
     // endregion
 
     // region Select element
@@ -881,13 +8188,37 @@ let htmlContent = `
                         clickedShape === drawer.availableShapes.DrawnText
                     ) {
                         drawer.settings.filled = true;
-                        drawer.shapes.push(drawer.selectedElement);
-                        drawer.undoneShapes.splice(0, drawer.undoneShapes.length);
                     }
+                    drawer.finishText();
+                    drawer.finishPoints();
                     if (clickedShape !== drawer.selectedShape) {
 
                         drawer.selectedElement = null;
                         drawer.selectedShape = clickedShape;
+                        drawer.pickedShape = null;
+                        drawer.canvas.classList.toggle(
+                            "move-tool",
+                            clickedShape === drawer.availableShapes.MOVE
+                        );
+                        drawer.canvas.classList.toggle(
+                            "fill-tool",
+                            clickedShape === drawer.availableShapes.FLOOD_FILL
+                        );
+                        drawer.canvas.classList.toggle(
+                            "eyedropper-tool",
+                            clickedShape === drawer.availableShapes.EYEDROPPER
+                        );
+                        textPanel.classList.toggle(
+                            "show",
+                            clickedShape === drawer.availableShapes.DrawnText
+                        );
+                        showTextStyle();
+                        drawer.canvas.classList.toggle(
+                            "eraser",
+                            clickedShape === drawer.availableShapes.ERASE_LIST ||
+                            clickedShape === drawer.availableShapes.OBJECT_ERASER
+                        );
+                        drawer.redraw();
 
                         document
                             .querySelectorAll("#shape-list li.active")[0]
@@ -900,6 +8231,93 @@ let htmlContent = `
     );
     // endregion
 
+    // region Text panel
+    let textPanel = document.getElementById("text-panel");
+    let fontFamily = document.getElementById("font-family");
+    let textBold = document.getElementById("text-bold");
+    let textItalic = document.getElementById("text-italic");
+    let textAligns = textPanel.querySelectorAll("a.text-align");
+
+    /**
+     * Show the style of the styled text, or else the one
+     * of new texts, in the text panel.
+     */
+    function showTextStyle() {
+        let text = drawer.styledText();
+        let style = parseFont(text ? text.settings.font : drawer.settings.font);
+        let align = text ? text.align : drawer.settings.align;
+        fontFamily.value = style.family;
+        textBold.classList.toggle("active", style.bold);
+        textItalic.classList.toggle("active", style.italic);
+        textAligns.forEach((a) => a.classList.toggle("active", a.dataset.align === align));
+    }
+
+    fontFamily.addEventListener(
+        "change",
+        /**
+         * Use the chosen font family. The list lets go of the keyboard,
+         * so the keys go back to the text being typed.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            drawer.setTextStyle({ family: fontFamily.value });
+            drawer.focusTextInput();
+            showTextStyle();
+        }
+    );
+    textBold.addEventListener(
+        "click",
+        /**
+         * Toggle bold text.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            drawer.setTextStyle({ bold: !textBold.classList.contains("active") });
+            drawer.focusTextInput();
+            showTextStyle();
+        }
+    );
+    textItalic.addEventListener(
+        "click",
+        /**
+         * Toggle italic text.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            drawer.setTextStyle({ italic: !textItalic.classList.contains("active") });
+            drawer.focusTextInput();
+            showTextStyle();
+        }
+    );
+    textAligns.forEach(function (button) {
+        button.addEventListener(
+            "click",
+            /**
+             * Line the text up as the button shows.
+             *
+             * @param evt The event that triggered this callback
+             */
+            function (evt) {
+                drawer.setTextStyle({ align: button.dataset.align });
+                drawer.focusTextInput();
+                showTextStyle();
+            }
+        );
+    });
+    showTextStyle();
+
+    // The caret of the text being typed blinks
+    setInterval(function () {
+        if (drawer.selectedElement instanceof DrawnText) {
+            drawer.caretVisible = !drawer.caretVisible;
+            drawer.redraw();
+        }
+    }, 500);
+    // endregion
+
     // region Filled setting
     // On click event for the star (which is either filled or not)
     let filled = document.getElementById("fill-toggle");
@@ -923,8 +8341,244 @@ let htmlContent = `
                 filled.dataset["filled"] = "no";
                 drawer.settings.filled = false;
             }
+            drawer.restylePicked({ filled: drawer.settings.filled });
+        }
+    );
+    // endregion
+
+    // region Style panel
+    let stylePanel = document.getElementById("style-panel");
+    let fillColor = document.getElementById("fill-color");
+    let fillFollows = document.getElementById("fill-follows");
+    let strokeToggle = document.getElementById("stroke-toggle");
+    let gradientType = document.getElementById("gradient-type");
+    let gradientColor = document.getElementById("gradient-color");
+    let gradientAngle = document.getElementById("gradient-angle");
+    let dashStyle = document.getElementById("dash-style");
+    let lineCap = document.getElementById("line-cap");
+    let lineJoin = document.getElementById("line-join");
+
+    /**
+     * Show the fill and the style of the lines of new shapes in the style panel.
+     */
+    function showStyle() {
+        let settings = drawer.settings;
+        fillColor.value = settings.fillColor || settings.color;
+        fillFollows.checked = settings.fillColor === null;
+        strokeToggle.checked = settings.stroked;
+        gradientType.value = settings.gradientType;
+        gradientColor.value = settings.gradientColor;
+        gradientAngle.value = String(Math.round(settings.gradientAngle * 180 / Math.PI));
+        gradientColor.disabled = settings.gradientType === "none";
+        gradientAngle.disabled = settings.gradientType !== "linear";
+        dashStyle.value = settings.dash;
+        lineCap.value = settings.lineCap;
+        lineJoin.value = settings.lineJoin;
+    }
+
+    /**
+     * Use the fill chosen in the panel for new shapes and the picked one.
+     */
+    function useFill() {
+        drawer.settings.fillColor = fillFollows.checked ? null : fillColor.value;
+        drawer.settings.stroked = strokeToggle.checked;
+        drawer.settings.gradientType = gradientType.value;
+        drawer.settings.gradientColor = gradientColor.value;
+        drawer.settings.gradientAngle = (parseFloat(gradientAngle.value) || 0) * Math.PI / 180;
+        drawer.restylePicked(drawer.currentFill());
+        showStyle();
+    }
+
+    /**
+     * Use the style of lines chosen in the panel for new shapes and the picked one.
+     */
+    function useStroke() {
+        drawer.settings.dash = dashStyle.value;
+        drawer.settings.lineCap = lineCap.value;
+        drawer.settings.lineJoin = lineJoin.value;
+        drawer.restylePicked(drawer.currentStroke());
+    }
+
+    document.getElementById("btn-style").addEventListener(
+        "click",
+        /**
+         * Show or hide the style panel.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            stylePanel.classList.toggle("show");
+            evt.currentTarget.classList.toggle("active");
+        }
+    );
+
+    fillColor.addEventListener(
+        "change",
+        /**
+         * Choosing a color of its own stops the fill from following the lines.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            fillFollows.checked = false;
+            useFill();
+        }
+    );
+    [fillFollows, strokeToggle, gradientType, gradientColor, gradientAngle].forEach(function (input) {
+        input.addEventListener("change", useFill);
+    });
+    [dashStyle, lineCap, lineJoin].forEach(function (input) {
+        input.addEventListener("change", useStroke);
+    });
+    showStyle();
+    // endregion
+
+    // region Snap panel
+    let snapPanel = document.getElementById("snap-panel");
+    let snapGrid = document.getElementById("snap-grid");
+    let gridSize = document.getElementById("grid-size");
+    let snapShapes = document.getElementById("snap-shapes");
+    let snapAngles = document.getElementById("snap-angles");
+
+    /**
+     * Show what points snap to. Papers with squares snap to
+     * those, so the size of the grid is theirs then.
+     */
+    function showSnap() {
+        let settings = drawer.settings;
+        snapGrid.checked = settings.snapToGrid;
+        gridSize.value = String(drawer.gridSpacing());
+        gridSize.disabled = Boolean(backgrounds[drawer.background].gridSize);
+        snapShapes.checked = settings.snapToShapes;
+        snapAngles.checked = settings.snapAngles;
+    }
+
+    [snapGrid, gridSize, snapShapes, snapAngles].forEach(function (input) {
+        input.addEventListener(
+            "change",
+            /**
+             * Use the snapping chosen in the panel for the next points.
+             *
+             * @param evt The event that triggered this callback
+             */
+            function (evt) {
+                let settings = drawer.settings;
+                settings.snapToGrid = snapGrid.checked;
+                if (!gridSize.disabled && parseFloat(gridSize.value) >= 2) {
+                    settings.gridSize = parseFloat(gridSize.value);
+                }
+                settings.snapToShapes = snapShapes.checked;
+                settings.snapAngles = snapAngles.checked;
+                showSnap();
+            }
+        );
+    });
+
+    document.getElementById("btn-snap").addEventListener(
+        "click",
+        /**
+         * Show or hide the snap panel.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            snapPanel.classList.toggle("show");
+            evt.currentTarget.classList.toggle("active");
         }
     );
+    drawer.canvas.addEventListener("background-change", showSnap);
+    showSnap();
+    // endregion
+
+    // region Brush panel
+    let brushPanel = document.getElementById("brush-panel");
+    let brushList = document.getElementById("brush-list");
+    let brushOptionRows = document.querySelector("#brush-options tbody");
+
+    /**
+     * Show the brushes with the chosen one marked, and a slider
+     * for every option of the chosen brush.
+     */
+    function showBrushes() {
+        brushList.innerHTML = "";
+        Object.keys(brushes).forEach(function (type) {
+            let item = document.createElement("li");
+            item.textContent = brushes[type].name;
+            item.classList.toggle("current", type === drawer.settings.brush);
+            item.addEventListener(
+                "click",
+                /**
+                 * Draw new strokes with the brush, which takes the freehand tool as well.
+                 *
+                 * @param evt The event that triggered this callback
+                 */
+                function (evt) {
+                    drawer.settings.brush = type;
+                    document.querySelector('#shape-list li[data-shape="' + drawer.availableShapes.LINE_LIST + '"]').click();
+                    showBrushes();
+                }
+            );
+            brushList.appendChild(item);
+        });
+        let type = drawer.settings.brush;
+        let options = brushOptions(type, drawer.settings.brushOptions[type]);
+        brushOptionRows.innerHTML = "";
+        Object.keys(brushes[type].options).forEach(function (name) {
+            let option = brushes[type].options[name];
+            let row = document.createElement("tr");
+            let label = document.createElement("td");
+            label.textContent = option.name;
+            let slider = document.createElement("input");
+            slider.type = "range";
+            slider.min = option.min;
+            slider.max = option.max;
+            slider.step = option.step;
+            slider.value = options[name];
+            slider.addEventListener(
+                "input",
+                /**
+                 * Keep the option for the next strokes of the brush.
+                 *
+                 * @param evt The event that triggered this callback
+                 */
+                function (evt) {
+                    options[name] = parseFloat(slider.value);
+                    drawer.settings.brushOptions[type] = options;
+                }
+            );
+            let cell = document.createElement("td");
+            cell.appendChild(slider);
+            row.appendChild(label);
+            row.appendChild(cell);
+            brushOptionRows.appendChild(row);
+        });
+    }
+
+    document.getElementById("recognize-shapes").addEventListener(
+        "change",
+        /**
+         * Turn the recognition of shapes in new strokes on or off.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            drawer.settings.recognizeShapes = evt.target.checked;
+        }
+    );
+
+    document.getElementById("btn-brush").addEventListener(
+        "click",
+        /**
+         * Show or hide the brush panel.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            brushPanel.classList.toggle("show");
+            evt.currentTarget.classList.toggle("active");
+        }
+    );
+    showBrushes();
     // endregion
 
     // region Color picker
@@ -934,14 +8588,239 @@ let htmlContent = `
     colorPicker.addEventListener(
         "change",
         /**
-         * Set the color settings to the chosen color.
+         * Set the color settings to the chosen color, which
+         * also recolors the picked shape.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            drawer.useColor(colorPicker.value);
+            showColors();
+        }
+    );
+    // endregion
+
+    // region Colors panel
+    let colorsPanel = document.getElementById("colors-panel");
+    let colorOpacity = document.getElementById("color-opacity");
+    let recentColors = document.getElementById("recent-colors");
+    let paletteSelect = document.getElementById("palette-select");
+    let paletteColors = document.getElementById("palette-colors");
+    let paletteFormat = document.getElementById("palette-format");
+    // The palettes kept in the browser
+    let palettes = loadPreference("palettes", null);
+    palettes = Array.isArray(palettes) ? palettes.map(readPalette).filter((palette) => palette !== null) : [];
+    if (palettes.length === 0) {
+        palettes.push(readPalette(defaultPalette));
+    }
+    // The index of the palette shown in the panel
+    let shownPalette = 0;
+
+    /**
+     * Create a swatch which uses its color when clicked.
+     *
+     * @param color A #rrggbb color
+     * @returns {HTMLElement}
+     */
+    function createSwatch(color) {
+        let swatch = document.createElement("a");
+        swatch.className = "swatch";
+        swatch.style.background = color;
+        swatch.title = color;
+        swatch.classList.toggle("active", color === drawer.settings.color);
+        swatch.addEventListener("click", function (evt) {
+            drawer.useColor(color);
+            showColors();
+        });
+        return swatch;
+    }
+
+    /**
+     * Show the current color and opacity, the recent colors and the
+     * colors of the chosen palette.
+     */
+    function showColors() {
+        colorPicker.value = drawer.settings.color;
+        colorOpacity.value = String(Math.round(drawer.settings.opacity * 100));
+        recentColors.innerHTML = "";
+        drawer.recentColors.forEach((color) => recentColors.appendChild(createSwatch(color)));
+        paletteSelect.innerHTML = "";
+        palettes.forEach(function (palette, i) {
+            let option = document.createElement("option");
+            option.value = String(i);
+            option.textContent = palette.name;
+            paletteSelect.appendChild(option);
+        });
+        paletteSelect.selectedIndex = shownPalette;
+        paletteColors.innerHTML = "";
+        palettes[shownPalette].colors.forEach(function (color, i) {
+            let swatch = createSwatch(color);
+            swatch.title = color + " (clic derecho para quitarlo)";
+            swatch.addEventListener("contextmenu", function (evt) {
+                evt.preventDefault();
+                palettes[shownPalette].colors.splice(i, 1);
+                savePreference("palettes", palettes);
+                showColors();
+            });
+            paletteColors.appendChild(swatch);
+        });
+        // Fills following the color of the lines change along
+        showStyle();
+    }
+
+    document.getElementById("btn-colors").addEventListener(
+        "click",
+        /**
+         * Show or hide the colors panel.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            colorsPanel.classList.toggle("show");
+            evt.currentTarget.classList.toggle("active");
+        }
+    );
+
+    colorOpacity.addEventListener(
+        "change",
+        /**
+         * Use the chosen opacity for new shapes and the picked one.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            drawer.settings.opacity = parseInt(colorOpacity.value) / 100;
+            drawer.restylePicked({ opacity: drawer.settings.opacity });
+        }
+    );
+
+    paletteSelect.addEventListener(
+        "change",
+        /**
+         * Show the colors of the chosen palette.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            shownPalette = paletteSelect.selectedIndex;
+            showColors();
+        }
+    );
+
+    document.getElementById("palette-add-color").addEventListener(
+        "click",
+        /**
+         * Add the current color to the shown palette, unless it is in there.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            let palette = palettes[shownPalette];
+            if (!palette.colors.includes(drawer.settings.color)) {
+                palette.colors.push(drawer.settings.color);
+                savePreference("palettes", palettes);
+                showColors();
+            }
+        }
+    );
+
+    document.getElementById("palette-new").addEventListener(
+        "click",
+        /**
+         * Ask for a name and start an empty palette with it.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            let name = window.prompt("Nombre de la paleta", "Paleta " + (palettes.length + 1));
+            if (!name || !name.trim()) {
+                return;
+            }
+            palettes.push({ name: name.trim(), colors: [] });
+            savePreference("palettes", palettes);
+            shownPalette = palettes.length - 1;
+            showColors();
+        }
+    );
+
+    document.getElementById("palette-delete").addEventListener(
+        "click",
+        /**
+         * Delete the shown palette, unless it is the only one.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            if (palettes.length === 1) {
+                showNotice("Debe quedar al menos una paleta.");
+                return;
+            }
+            if (!window.confirm("¿Eliminar la paleta " + palettes[shownPalette].name + "?")) {
+                return;
+            }
+            palettes.splice(shownPalette, 1);
+            savePreference("palettes", palettes);
+            shownPalette = 0;
+            showColors();
+        }
+    );
+
+    document.getElementById("palette-import").addEventListener(
+        "click",
+        /**
+         * Ask for a json or GIMP palette file and add the palette in it.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            let inp = window.document.createElement("input");
+            inp.type = "file";
+            inp.accept = ".json,.gpl,application/json";
+            document.body.appendChild(inp);
+            inp.style.visibility = "hidden";
+            inp.addEventListener("change", function () {
+                let file = inp.files[0];
+                if (!file) {
+                    return;
+                }
+                let reader = new FileReader();
+                reader.addEventListener("load", function (e) {
+                    let palette = paletteFromFile(e.target.result, file.name);
+                    if (!palette) {
+                        showNotice("El archivo no es una paleta válida.");
+                        return;
+                    }
+                    palettes.push(palette);
+                    savePreference("palettes", palettes);
+                    shownPalette = palettes.length - 1;
+                    showColors();
+                });
+                reader.readAsText(file);
+            });
+            inp.click();
+            document.body.removeChild(inp);
+        }
+    );
+
+    document.getElementById("palette-export").addEventListener(
+        "click",
+        /**
+         * Download the shown palette in the chosen format.
          *
          * @param evt The event that triggered this callback
          */
         function (evt) {
-            drawer.settings.color = colorPicker.value;
+            let palette = palettes[shownPalette];
+            let filename = palette.name.replace(/[\\/:*?"<>|]+/g, "_");
+            if (paletteFormat.value === "gpl") {
+                downloadBlob(new Blob([paletteToGpl(palette)], { type: "text/plain" }), filename + ".gpl");
+            } else {
+                let json = { format: "paintme-palette", name: palette.name, colors: palette.colors };
+                downloadBlob(new Blob([JSON.stringify(json, null, 2)], { type: "application/json" }), filename + ".json");
+            }
         }
     );
+    showColors();
     // endregion
 
     // region Size settings
@@ -975,6 +8854,103 @@ let htmlContent = `
     );
     // endregion
 
+    // region Eraser width
+    // The DOM elements within the modal belonging to eraser width
+    let eraserSetting = document.getElementById("eraser-row");
+    let eraserDecrease = eraserSetting.querySelectorAll("td > a.decrease")[0];
+    let eraserIncrease = eraserSetting.querySelectorAll("td > a.increase")[0];
+    let eraserValue = eraserSetting.querySelectorAll("td.value-data")[0];
+    eraserDecrease.addEventListener(
+        "click",
+        /**
+         * Decrease the value of the text node down to a minimum of 4.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            eraserValue.innerHTML = Math.max(4, parseInt(eraserValue.innerHTML) - 4);
+        }
+    );
+    eraserIncrease.addEventListener(
+        "click",
+        /**
+         * Increase the value of the text node up to a maximum of 100.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            eraserValue.innerHTML = Math.min(100, parseInt(eraserValue.innerHTML) + 4);
+        }
+    );
+    // endregion
+
+    // region Fill tolerance
+    // The DOM elements within the modal belonging to the tolerance of the fill
+    let toleranceSetting = document.getElementById("tolerance-row");
+    let toleranceDecrease = toleranceSetting.querySelectorAll("td > a.decrease")[0];
+    let toleranceIncrease = toleranceSetting.querySelectorAll("td > a.increase")[0];
+    let toleranceValue = toleranceSetting.querySelectorAll("td.value-data")[0];
+    toleranceDecrease.addEventListener(
+        "click",
+        /**
+         * Decrease the value of the text node down to a minimum of 0.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            toleranceValue.innerHTML = Math.max(0, parseInt(toleranceValue.innerHTML) - 5);
+        }
+    );
+    toleranceIncrease.addEventListener(
+        "click",
+        /**
+         * Increase the value of the text node up to a maximum of 100.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            toleranceValue.innerHTML = Math.min(100, parseInt(toleranceValue.innerHTML) + 5);
+        }
+    );
+    // endregion
+
+    // region Polygon sides
+    // The DOM elements within the modal belonging to the sides of regular polygons
+    let sidesSetting = document.getElementById("sides-row");
+    let sidesDecrease = sidesSetting.querySelectorAll("td > a.decrease")[0];
+    let sidesIncrease = sidesSetting.querySelectorAll("td > a.increase")[0];
+    let sidesValue = sidesSetting.querySelectorAll("td.value-data")[0];
+    sidesDecrease.addEventListener(
+        "click",
+        /**
+         * Decrease the value of the text node down to the fewest sides a polygon can have.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            sidesValue.innerHTML = Math.max(minPolygonSides, parseInt(sidesValue.innerHTML) - 1);
+        }
+    );
+    sidesIncrease.addEventListener(
+        "click",
+        /**
+         * Increase the value of the text node up to the most sides a polygon can have.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            sidesValue.innerHTML = Math.min(maxPolygonSides, parseInt(sidesValue.innerHTML) + 1);
+        }
+    );
+    // endregion
+
+    // region Arrow heads
+    // The DOM elements within the modal belonging to the heads of arrows
+    let headsSetting = document.getElementById("heads-row");
+    let startHeadSelect = document.getElementById("start-head");
+    let endHeadSelect = document.getElementById("end-head");
+    // endregion
+
     // region Font size
     // The DOM elements within the modal belonging to font size
     let fontSetting = document.getElementById("font-row");
@@ -1013,7 +8989,18 @@ let htmlContent = `
 
     // region Modal
     let sizeModal = document.getElementById("size-modal");
-    // DOM elements that will cancel the changes made to line width and font size
+    document.getElementById("btn-size").addEventListener(
+        "click",
+        /**
+         * Show the modal for size adjustments.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            sizeModal.classList.add("show");
+        }
+    );
+    // DOM elements that will cancel the changes made to line width, font size and eraser width
     let sizeAbort = sizeModal.querySelectorAll("button.abort");
     for (let i = 0; i < sizeAbort.length; i++) {
         sizeAbort[i].addEventListener(
@@ -1028,10 +9015,16 @@ let htmlContent = `
             function (evt) {
                 widthValue.innerHTML = widthSetting.dataset["value"];
                 fontValue.innerHTML = fontSetting.dataset["value"];
+                eraserValue.innerHTML = eraserSetting.dataset["value"];
+                toleranceValue.innerHTML = toleranceSetting.dataset["value"];
+                sidesValue.innerHTML = sidesSetting.dataset["value"];
+                startHeadSelect.value = headsSetting.dataset["start"];
+                endHeadSelect.value = headsSetting.dataset["end"];
+                sizeModal.classList.remove("show");
             }
         );
     }
-    // The DOM element that will confirm the changes made to line width and font size
+    // The DOM element that will confirm the changes made to line width, font size and eraser width
     sizeModal.querySelectorAll("button.confirm")[0].addEventListener(
         "click",
         /**
@@ -1044,132 +9037,511 @@ let htmlContent = `
             widthSetting.dataset["value"] = widthValue.innerHTML;
             drawer.settings.width = parseInt(widthValue.innerHTML);
             fontSetting.dataset["value"] = fontValue.innerHTML;
-            drawer.settings.font =
-                fontValue.innerHTML + " " + drawer.settings.font.split(" ")[1];
+            drawer.settings.font = composeFont(
+                Object.assign(parseFont(drawer.settings.font), { size: fontValue.innerHTML })
+            );
+            eraserSetting.dataset["value"] = eraserValue.innerHTML;
+            drawer.settings.eraserWidth = parseInt(eraserValue.innerHTML);
+            toleranceSetting.dataset["value"] = toleranceValue.innerHTML;
+            drawer.settings.fillTolerance = parseInt(toleranceValue.innerHTML);
+            sidesSetting.dataset["value"] = sidesValue.innerHTML;
+            drawer.settings.sides = parseInt(sidesValue.innerHTML);
+            headsSetting.dataset["start"] = startHeadSelect.value;
+            headsSetting.dataset["end"] = endHeadSelect.value;
+            drawer.settings.startHead = startHeadSelect.value;
+            drawer.settings.endHead = endHeadSelect.value;
+            sizeModal.classList.remove("show");
+            drawer.restylePicked({ width: drawer.settings.width, font: drawer.settings.font });
         }
     );
     // endregion
     // endregion
 
+    // region Notice
+    let notice = document.getElementById("notice");
+    let noticeTimeout = null;
+
+    /**
+     * Show a message for a few seconds, e.g. when a file can not be loaded.
+     *
+     * @param message The text, lines are kept
+     */
+    function showNotice(message) {
+        notice.textContent = message;
+        notice.classList.add("show");
+        clearTimeout(noticeTimeout);
+        noticeTimeout = setTimeout(function () {
+            notice.classList.remove("show");
+        }, 6000);
+    }
+
+    notice.addEventListener("click", function (evt) {
+        notice.classList.remove("show");
+    });
+    // endregion
+
+    // region Background
+    let bgModal = document.getElementById("bg-modal");
+    document.getElementById("btn-background").addEventListener(
+        "click",
+        /**
+         * Show the modal for choosing the paper.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            bgModal.classList.add("show");
+        }
+    );
+    bgModal.querySelectorAll(".btn-close-modal-bg")[0].addEventListener(
+        "click",
+        /**
+         * Hide the modal for choosing the paper.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            bgModal.classList.remove("show");
+        }
+    );
+    bgModal.querySelectorAll(".button-card-option").forEach(function (option) {
+        option.addEventListener(
+            "click",
+            /**
+             * Use the paper of the clicked option and close the modal.
+             *
+             * @param evt The event that triggered this callback
+             */
+            function (evt) {
+                drawer.setBackground(option.dataset.background);
+                bgModal.classList.remove("show");
+            }
+        );
+    });
+    drawer.setBackground(drawer.background);
+    // endregion
+
     // region FILE IO
     // region Save
     /**
-     * Creates a json object and from it a file blob. The json object
-     * additionally adds types of the shapes it holds since json does
-     * not store functions.
+     * Creates the json object of the drawing. Besides the version, the canvas
+     * size, the background and metadata it holds the layers with their shapes,
+     * which additionally get their types since json does not store functions.
+     * The points of strokes are delta encoded to keep large drawings small.
+     *
+     * @returns {Object} The drawing in the current version
+     */
+    function createDocument() {
+        let layers = drawer.layers.map(function (layer) {
+            let lst = [];
+            for (let i = 0; i < layer.shapes.length; i++) {
+                let tmp = JSON.parse(JSON.stringify(layer.shapes[i]));
+                tmp["type"] = layer.shapes[i].__proto__.constructor.name;
+                encodeShapePoints(tmp);
+                lst.push(tmp);
+            }
+            return Object.assign(layer.snapshot(), { shapes: lst });
+        });
+        return {
+            format: "paintme",
+            version: documentVersion,
+            canvas: { width: drawer.size.width, height: drawer.size.height },
+            background: drawer.background,
+            metadata: Object.assign({}, drawer.metadata, { modified: new Date().toISOString() }),
+            layers: layers,
+        };
+    }
+
+    /**
+     * Creates a file blob from the json object of the drawing.
      *
-     * @returns {Blob} A file blob with all the shapes in a json format.
+     * @returns {Blob} A file blob with the drawing in a json format.
      */
     function createJsonBlob() {
-        let lst = [];
-        for (let i = 0; i < drawer.shapes.length; i++) {
-            let tmp = JSON.parse(JSON.stringify(drawer.shapes[i]));
-            tmp["type"] = drawer.shapes[i].__proto__.constructor.name;
-            lst.push(tmp);
-        }
-        return new Blob([JSON.stringify(lst)], { type: "application/json" });
+        return new Blob([JSON.stringify(createDocument())], { type: "application/json" });
     }
 
     /**
      * Create a temporary anchor to download a blob, click it
      * and then remove it.
+     *
+     * @param blob The contents of the file
+     * @param filename The name of the downloaded file
      */
-    function saveAsJsonFile() {
+    function downloadBlob(blob, filename) {
         let tmp = window.document.createElement("a");
-        tmp.href = window.URL.createObjectURL(createJsonBlob());
-        tmp.download = "image.json";
+        tmp.href = window.URL.createObjectURL(blob);
+        tmp.download = filename;
         document.body.appendChild(tmp);
         tmp.click();
         document.body.removeChild(tmp);
     }
 
+    /**
+     * Download the drawing as a json file.
+     */
+    function saveAsJsonFile() {
+        downloadBlob(createJsonBlob(), "image.json");
+    }
+
     // Add download event for anchor in navigation bar.
     document.getElementById("img-save").addEventListener("click", saveAsJsonFile);
     // endregion
 
+    // region Export image
+    // The largest images every browser can encode, larger exports are scaled down
+    const maxExportPixels = 4096 * 4096;
+    const maxExportSide = 16384;
+
+    /**
+     * The part of the canvas covered by the visible layers, with a small
+     * margin. Erased strokes do not count, as they hold nothing visible.
+     *
+     * @returns {{x: number, y: number, width: number, height: number}|null} Null if nothing is drawn
+     */
+    function drawingBounds() {
+        let bounds = null;
+        drawer.visibleShapes().forEach(function (shape) {
+            if (shape instanceof EraseList) {
+                return;
+            }
+            let b = shape.getWorldBounds();
+            if (!bounds) {
+                bounds = b;
+                return;
+            }
+            let x = Math.min(bounds.x, b.x);
+            let y = Math.min(bounds.y, b.y);
+            bounds = {
+                x: x,
+                y: y,
+                width: Math.max(bounds.x + bounds.width, b.x + b.width) - x,
+                height: Math.max(bounds.y + bounds.height, b.y + b.height) - y,
+            };
+        });
+        if (!bounds) {
+            return null;
+        }
+        let margin = 10;
+        return {
+            x: Math.floor(bounds.x - margin),
+            y: Math.floor(bounds.y - margin),
+            width: Math.ceil(bounds.width + 2 * margin),
+            height: Math.ceil(bounds.height + 2 * margin),
+        };
+    }
+
+    /**
+     * The part of the drawing to export.
+     *
+     * @param crop Whether to crop to the drawing instead of keeping what the canvas shows
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    function exportArea(crop) {
+        return (crop && drawingBounds()) ||
+            drawer.viewport.visibleArea(drawer.size.width, drawer.size.height);
+    }
+
+    /**
+     * The scale at which an area fits the largest image browsers can encode,
+     * e.g. when the full canvas is exported while zoomed far out.
+     *
+     * @param area The part of the drawing to export {x, y, width, height}
+     * @param scale How many image pixels should make one pixel of the drawing
+     * @returns {number} The scale, or a smaller one if the image would be too big
+     */
+    function fitExportScale(area, scale) {
+        let width = area.width * scale;
+        let height = area.height * scale;
+        let fit = Math.min(1, maxExportSide / width, maxExportSide / height, Math.sqrt(maxExportPixels / (width * height)));
+        return scale * fit;
+    }
+
+    /**
+     * Render the paper and every visible layer to an offscreen canvas. The
+     * layers get their own canvas first, so erased strokes keep the paper intact.
+     *
+     * @param type The image type, "image/png" or "image/jpeg"
+     * @param scale How many image pixels make one pixel of the drawing
+     * @param crop Whether to crop to the drawing instead of keeping the full canvas
+     * @returns {Promise<Blob>} The encoded image, rejected if the paper can not be loaded
+     * or the image is too big for the browser
+     */
+    async function createImageBlob(type, scale, crop) {
+        let area = exportArea(crop);
+        let output = document.createElement("canvas");
+        output.width = Math.round(area.width * scale);
+        output.height = Math.round(area.height * scale);
+
+        let ctx = output.getContext("2d");
+        // Jpeg has no transparency, so it always gets a white sheet
+        if (type === "image/jpeg") {
+            ctx.fillStyle = "#ffffff";
+            ctx.fillRect(0, 0, output.width, output.height);
+        }
+        ctx.scale(scale, scale);
+        ctx.translate(-area.x, -area.y);
+        await renderBackground(ctx, drawer.background, area);
+        renderLayers(ctx, drawer.layers);
+
+        return new Promise(function (resolve, reject) {
+            output.toBlob(function (blob) {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error("La imagen es demasiado grande para este navegador."));
+                }
+            }, type, 0.92);
+        });
+    }
+
+    /**
+     * Write the drawing as an svg file blob.
+     *
+     * @param crop Whether to crop to the drawing instead of keeping the full canvas
+     * @returns {Blob} The svg document
+     */
+    function createSvgBlob(crop) {
+        let svg = layersToSvg(drawer.layers, drawer.background, exportArea(crop));
+        return new Blob([svg], { type: "image/svg+xml" });
+    }
+
+    let exportModal = document.getElementById("export-modal");
+    let exportFormat = document.getElementById("export-format");
+    let exportScale = document.getElementById("export-scale");
+    let exportAreaSelect = document.getElementById("export-area");
+
+    // Export as sharp as the drawing looks on screen by default
+    Array.from(exportScale.options).forEach(function (option) {
+        if (Number(option.value) <= (window.devicePixelRatio || 1)) {
+            exportScale.value = option.value;
+        }
+    });
+
+    document.getElementById("img-export").addEventListener(
+        "click",
+        /**
+         * Show the modal with the export options.
+         *
+         * @param evt The event that triggered this callback
+         */
+        function (evt) {
+            exportModal.classList.add("show");
+        }
+    );
+    exportModal.querySelectorAll("button.abort").forEach(function (button) {
+        button.addEventListener("click", function (evt) {
+            exportModal.classList.remove("show");
+        });
+    });
+    exportModal.querySelectorAll("button.confirm")[0].addEventListener(
+        "click",
+        /**
+         * Export the drawing with the chosen options and download it.
+         * A failed export is told rather than ending silently.
+         *
+         * @param evt The event that triggered this callback
+         */
+        async function (evt) {
+            exportModal.classList.remove("show");
+            let type = exportFormat.value;
+            let crop = exportAreaSelect.value === "drawing";
+            try {
+                if (type === "image/svg+xml") {
+                    downloadBlob(createSvgBlob(crop), "image.svg");
+                    return;
+                }
+                let scale = parseInt(exportScale.value);
+                let fitted = fitExportScale(exportArea(crop), scale);
+                if (fitted < scale) {
+                    showNotice("La imagen es demasiado grande, se exporta al " + Math.floor(fitted * 100) + " % del tamaño.");
+                }
+                let blob = await createImageBlob(type, fitted, crop);
+                downloadBlob(blob, type === "image/jpeg" ? "image.jpg" : "image.png");
+            } catch (error) {
+                showNotice("No se pudo exportar el dibujo.\n" + error.message);
+            }
+        }
+    );
+    // endregion
+
     // region Load
     /**
-     * Convert a json object to its corresponding shape
-     * and add it to the list of shapes to draw.
+     * Convert a validated json object to its corresponding shape.
      *
      * @param jsonShape Json equivalent of a shape
+     * @returns {Shape|undefined} The shape, if the type is known
      */
     function createShapeFromJson(jsonShape) {
+        let shape;
         switch (jsonShape.type) {
             case "Rectangle":
-                drawer.shapes.push(
-                    new Rectangle(
-                        jsonShape.position,
-                        jsonShape.settings,
-                        jsonShape.width,
-                        jsonShape.height
-                    )
+                shape = new Rectangle(
+                    jsonShape.position,
+                    jsonShape.settings,
+                    jsonShape.width,
+                    jsonShape.height
                 );
                 break;
             case "Oval":
-                drawer.shapes.push(
-                    new Oval(
-                        jsonShape.position,
-                        jsonShape.settings,
-                        jsonShape.xRadius,
-                        jsonShape.yRadius
-                    )
+                shape = new Oval(
+                    jsonShape.position,
+                    jsonShape.settings,
+                    jsonShape.xRadius,
+                    jsonShape.yRadius
                 );
                 break;
             case "Circle":
-                drawer.shapes.push(
-                    new Circle(jsonShape.position, jsonShape.settings, jsonShape.xRadius)
-                );
+                shape = new Circle(jsonShape.position, jsonShape.settings, jsonShape.xRadius);
                 break;
             case "Line":
-                drawer.shapes.push(
-                    new Line(
-                        jsonShape.position,
-                        jsonShape.settings,
-                        jsonShape.endPosition
-                    )
+                shape = new Line(
+                    jsonShape.position,
+                    jsonShape.settings,
+                    jsonShape.endPosition
                 );
                 break;
             case "LineList":
-                let ll = new LineList(jsonShape.position, jsonShape.settings);
+                let pressures = jsonShape.pressureList || [];
+                shape = new LineList(jsonShape.position, jsonShape.settings, pressures[0], jsonShape.brush);
                 for (let j = 0; j < jsonShape.xList.length; j++) {
-                    ll.resize(jsonShape.xList[j], jsonShape.yList[j]);
+                    shape.resize(jsonShape.xList[j], jsonShape.yList[j], pressures[j + 1]);
                 }
-                drawer.shapes.push(ll);
                 break;
             case "EraseList":
-                let eli = new EraseList(jsonShape.position, jsonShape.settings);
+                shape = new EraseList(jsonShape.position, jsonShape.settings);
                 for (let j = 0; j < jsonShape.xList.length; j++) {
-                    eli.resize(jsonShape.xList[j], jsonShape.yList[j]);
+                    shape.resize(jsonShape.xList[j], jsonShape.yList[j]);
                 }
-                drawer.shapes.push(eli);
                 break;
             case "DrawnText":
-                let dt = new DrawnText(jsonShape.position, jsonShape.settings);
-                for (let j = 0; j < jsonShape.chars.length; j++) {
-                    dt.resize(jsonShape.chars[j]);
+                shape = new DrawnText(
+                    jsonShape.position,
+                    jsonShape.settings,
+                    jsonShape.align || "left",
+                    jsonShape.boxWidth || 0
+                );
+                shape.chars = jsonShape.chars.slice();
+                break;
+            case "FloodFill":
+                shape = new FloodFill(jsonShape.position, jsonShape.settings, jsonShape.cellSize, jsonShape.spans);
+                break;
+            case "Polyline":
+            case "Polygon":
+                shape = jsonShape.type === "Polygon" ?
+                    new Polygon(jsonShape.position, jsonShape.settings) :
+                    new Polyline(jsonShape.position, jsonShape.settings);
+                for (let j = 0; j < jsonShape.xList.length; j++) {
+                    shape.addPoint(jsonShape.xList[j], jsonShape.yList[j]);
                 }
-                drawer.shapes.push(dt);
                 break;
+            case "RegularPolygon":
+                shape = new RegularPolygon(
+                    jsonShape.position,
+                    jsonShape.settings,
+                    jsonShape.sides,
+                    jsonShape.radius,
+                    jsonShape.angle
+                );
+                break;
+            case "Arrow":
+                shape = new Arrow(
+                    jsonShape.position,
+                    jsonShape.settings,
+                    jsonShape.endPosition,
+                    jsonShape.startHead,
+                    jsonShape.endHead
+                );
+                break;
+            case "BezierPath":
+                shape = new BezierPath(jsonShape.position, jsonShape.settings);
+                shape.anchors = jsonShape.anchors.map((a) => Object.assign({}, a));
+                shape.closed = jsonShape.closed;
+                break;
+            default:
+                return undefined;
         }
+        // Ovals keep the corner opposite to their position
+        if (shape instanceof Oval && jsonShape.x !== undefined) {
+            shape.x = jsonShape.x;
+            shape.y = jsonShape.y;
+        }
+        Object.assign(shape.transform, jsonShape.transform);
+        return shape;
+    }
+
+    /**
+     * Convert a drawing read by readDocument() to its layers and shapes.
+     *
+     * @param drawing The json drawing in the current version
+     * @returns {{layers: Layer[], background: string, metadata: Object}}
+     */
+    function drawingFromDocument(drawing) {
+        let layers = drawing.layers.map(function (jsonLayer) {
+            let layer = new Layer(jsonLayer.name);
+            layer.restore({ visible: jsonLayer.visible, locked: jsonLayer.locked, opacity: jsonLayer.opacity });
+            for (let i = 0; i < jsonLayer.shapes.length; i++) {
+                layer.shapes.push(createShapeFromJson(jsonLayer.shapes[i]));
+            }
+            return layer;
+        });
+        return { layers: layers, background: drawing.background, metadata: drawing.metadata };
+    }
+
+    /**
+     * Parses the json drawing of any version.
+     *
+     * @param contents The json text
+     * @returns {{layers: Layer[], background: string, metadata: Object}}
+     * @throws {DocumentError} If the drawing can not be read
+     */
+    function drawingFromJson(contents) {
+        return drawingFromDocument(parseDocument(contents));
     }
 
     /**
-     * Parses the json object, which should be an
-     * array of shape objects. Also restarts the
-     * canvas and redraws it.
+     * Reads a json or svg file. The loaded shapes replace
+     * the current ones in a single undoable step. Files that
+     * can not be read leave the drawing as it is.
      *
-     * @param e On file loaded event
+     * @param contents The text of the file
+     * @param fileName The name of the file
      */
-    function constructShapesFromFile(e) {
-        let contents = e.target.result;
-        let tmpList = JSON.parse(contents);
-        drawer.selectedElement = null;
-        drawer.shapes.splice(0, drawer.shapes.length);
-        drawer.undoneShapes.splice(0, drawer.undoneShapes.length);
-        for (let i = 0; i < tmpList.length; i++) {
-            createShapeFromJson(tmpList[i]);
+    function constructShapesFromFile(contents, fileName) {
+        let drawing;
+        try {
+            drawing = contents.trimStart().startsWith("<") ?
+                layersFromSvg(contents) :
+                drawingFromJson(contents);
+        } catch (error) {
+            let problems = error.problems || [];
+            showNotice([error.message].concat(problems.slice(0, 5), problems.length > 5 ? ["…"] : []).join("\n"));
+            return;
+        }
+        drawing.metadata = Object.assign(
+            { title: fileName.replace(/\.[^.]*$/, ""), created: new Date().toISOString() },
+            drawing.metadata
+        );
+        // An opened file is saved automatically as a drawing of its own
+        drawer.documentId = createDocumentId();
+        loadDrawing(drawing, "Abrir archivo");
+        if (drawing.skipped > 0) {
+            showNotice(drawing.skipped === 1 ?
+                "Un elemento del svg no se pudo leer y se omitió." :
+                drawing.skipped + " elementos del svg no se pudieron leer y se omitieron.");
         }
+    }
+
+    /**
+     * Replace the current drawing in a single undoable step.
+     *
+     * @param drawing The layers, background and metadata to use
+     * @param label A short description shown in the history
+     */
+    function loadDrawing(drawing, label) {
+        drawer.setBackground(drawing.background);
+        drawer.metadata = drawing.metadata;
+        drawer.replaceLayers(drawing.layers, label);
         drawer.redraw();
     }
 
@@ -1186,7 +9558,9 @@ let htmlContent = `
             return;
         }
         let reader = new FileReader();
-        reader.addEventListener("load", constructShapesFromFile);
+        reader.addEventListener("load", function (e) {
+            constructShapesFromFile(e.target.result, file.name);
+        });
         reader.readAsText(file);
     }
 
@@ -1198,6 +9572,7 @@ let htmlContent = `
     function createTemporaryFileLoader() {
         let inp = window.document.createElement("input");
         inp.type = "file";
+        inp.accept = ".json,.svg,application/json,image/svg+xml";
         document.body.appendChild(inp);
         inp.style.visibility = "hidden";
         inp.addEventListener("change", uploadFile, false);
@@ -1211,18 +9586,186 @@ let htmlContent = `
         .addEventListener("click", createTemporaryFileLoader);
     // endregion
 
+    // region Autosave
+    let autosaveTimeout = null;
+    // Whether the user already knows that saving fails, which is told only once
+    let autosaveFailed = false;
+
+    /**
+     * Save the drawing to the document store right away. Drawings
+     * which never had any shapes are not worth keeping.
+     *
+     * @returns {Promise}
+     */
+    async function autosave() {
+        clearTimeout(autosaveTimeout);
+        autosaveTimeout = null;
+        let id = drawer.documentId;
+        let existing = await drawer.store.getSummary(id);
+        let shapeCount = drawer.layers.reduce((count, layer) => count + layer.shapes.length, 0);
+        if (!existing && shapeCount === 0) {
+            return;
+        }
+        let doc = createDocument();
+        await drawer.store.save({
+            id: id,
+            title: doc.metadata.title,
+            modified: doc.metadata.modified,
+            shapeCount: shapeCount,
+            document: doc,
+        });
+    }
+
+    /**
+     * Save the drawing once nothing changed for a second.
+     */
+    function scheduleAutosave() {
+        clearTimeout(autosaveTimeout);
+        autosaveTimeout = setTimeout(function () {
+            autosave().then(function () {
+                autosaveFailed = false;
+            }).catch(function () {
+                if (!autosaveFailed) {
+                    autosaveFailed = true;
+                    showNotice("No se pudo guardar el dibujo en el navegador.");
+                }
+            });
+        }, 1000);
+    }
+
+    drawer.history.onChange(scheduleAutosave);
+    drawer.canvas.addEventListener("background-change", scheduleAutosave);
+    // Save pending changes before the page goes away
+    document.addEventListener("visibilitychange", function () {
+        if (document.visibilityState === "hidden" && autosaveTimeout) {
+            autosave().catch(() => {});
+        }
+    });
+    // endregion
+
+    // region Recent documents
+    let recentModal = document.getElementById("recent-modal");
+    let recentList = document.getElementById("recent-list");
+    let restorePrompt = document.getElementById("restore-prompt");
+    let restoreButton = recentModal.querySelectorAll("button.confirm")[0];
+
+    /**
+     * Open a stored drawing, which is then saved under its own id again.
+     *
+     * @param summary The summary of a record of the document store
+     * @param label A short description shown in the history
+     * @returns {Promise}
+     */
+    async function openRecord(summary, label) {
+        let record;
+        let drawing;
+        try {
+            record = await drawer.store.get(summary.id);
+            if (!record) {
+                showNotice("El dibujo ya no está guardado.");
+                return;
+            }
+            drawing = drawingFromDocument(readDocument(record.document));
+        } catch (error) {
+            showNotice(error.message);
+            return;
+        }
+        drawer.documentId = record.id;
+        loadDrawing(drawing, label);
+        recentModal.classList.remove("show");
+    }
+
+    /**
+     * List the stored drawings in the modal, each of them can be opened or deleted.
+     *
+     * @returns {Promise<Object[]>} The summaries of the listed records
+     */
+    async function renderRecent() {
+        let records = await drawer.store.list();
+        recentList.innerHTML = "";
+        if (records.length === 0) {
+            let empty = document.createElement("li");
+            empty.textContent = "No hay dibujos guardados.";
+            recentList.appendChild(empty);
+        }
+        records.forEach(function (record) {
+            let item = document.createElement("li");
+            let info = document.createElement("span");
+            info.textContent = record.title + " · " + new Date(record.modified).toLocaleString() +
+                " · " + record.shapeCount + " figuras";
+            let open = document.createElement("button");
+            open.type = "button";
+            open.className = "btn";
+            open.textContent = "Abrir";
+            open.addEventListener("click", function () {
+                openRecord(record, "Abrir dibujo reciente");
+            });
+            let remove = document.createElement("button");
+            remove.type = "button";
+            remove.className = "btn";
+            remove.textContent = "Eliminar";
+            remove.addEventListener("click", function () {
+                drawer.store.remove(record.id).then(renderRecent).catch(function () {
+                    showNotice("No se pudo eliminar el dibujo.");
+                });
+            });
+            item.append(info, open, remove);
+            recentList.appendChild(item);
+        });
+        return records;
+    }
+
+    /**
+     * Show the modal with the stored drawings.
+     *
+     * @param restore Whether to offer restoring the previous session
+     */
+    async function showRecent(restore) {
+        let records = await renderRecent();
+        restorePrompt.hidden = !restore;
+        restoreButton.hidden = !restore;
+        if (restore) {
+            restoreButton.onclick = function () {
+                openRecord(records[0], "Restaurar sesión");
+            };
+        }
+        recentModal.classList.add("show");
+    }
+
+    document.getElementById("img-recent").addEventListener("click", function (evt) {
+        showRecent(false).catch(function () {
+            showNotice("Los dibujos guardados no están disponibles en este navegador.");
+        });
+    });
+    recentModal.querySelectorAll("button.abort").forEach(function (button) {
+        button.addEventListener("click", function (evt) {
+            recentModal.classList.remove("show");
+        });
+    });
+
+    // Offer to bring back the last drawing, if it holds anything
+    drawer.store.list().then(function (records) {
+        if (records.length > 0 && records[0].shapeCount > 0) {
+            return showRecent(true);
+        }
+    }).catch(function () {
+        // Without stored drawings there is nothing to restore, opening them tells why
+    });
+    // endregion
+
     // region New image
     document.getElementById("img-clear").addEventListener(
         "click",
         /**
-         * Restart the drawing.
+         * Restart the drawing. This can be undone. The empty drawing is
+         * saved as a new one, so the stored one is kept as it is.
          *
          * @param evt The event that triggered this callback
          */
         function (evt) {
-            drawer.selectedElement = null;
-            drawer.shapes.splice(0, drawer.shapes.length);
-            drawer.undoneShapes.splice(0, drawer.undoneShapes.length);
+            drawer.documentId = createDocumentId();
+            drawer.metadata = { title: "Sin título", created: new Date().toISOString() };
+            drawer.replaceLayers([new Layer("Capa 1")], "Borrar todo");
             drawer.redraw();
         }
     );